@@ -158,3 +158,400 @@ aiEngine.piiPatterns.push({
 });
 aiEngine.sanitizePII = true;
 aiEngine.callAI(MODEL, draft.content, 'new');
+
+
+// =============================================================================
+// EXAMPLE 14 — Multi-turn chat kept in the draft itself
+// Format the draft as a transcript using "## user" / "## assistant" headings.
+// The whole history is sent; the reply is appended as a new "## assistant"
+// turn followed by an empty "## user" heading for your next question.
+// =============================================================================
+aiEngine.chat(MODEL, draft, {
+    role: 'You are a thoughtful thinking partner. Ask clarifying questions when useful.',
+});
+
+
+// =============================================================================
+// EXAMPLE 15 — Reversible PII pseudonymization
+// Each distinct value becomes a numbered token ([EMAIL_1], [PHONE_2], ...) in
+// every prompt section, so the model can still tell people apart. The tokens
+// in the reply are swapped back to the real values before onSuccess runs.
+// A custom pattern's label comes from its replacement ('[PERSON]' → PERSON_n).
+// =============================================================================
+aiEngine.piiPatterns.push({
+    pattern:     /\b(?:Jane Doe|John Smith)\b/g,
+    replacement: '[PERSON]',
+});
+aiEngine.sanitizePII   = true;
+aiEngine.piiReversible = true;
+aiEngine.callAI(MODEL, {
+    role:  'You are an assistant who drafts polite client emails.',
+    goal:  'Write a reply to the email below.',
+    input: draft.content,
+}, 'new');
+
+
+// =============================================================================
+// EXAMPLE 16 — Register your own provider (e.g. an in-house gateway)
+// OpenAI-compatible APIs only need openAICompatible(); anything else can pass
+// its own { buildRequest, parseResponse } adapter to registerProvider.
+// The API key is stored under the credential name (defaults to displayName).
+// =============================================================================
+aiEngine.registerProvider('gateway', aiEngine.openAICompatible({
+    displayName: 'Team Gateway',
+    endpoint:    'https://ai-gateway.example.com/v1',
+    model:       'default',
+}));
+aiEngine.callAI({ provider: 'gateway', model: 'claude-sonnet' }, draft.content, 'new');
+
+
+// =============================================================================
+// EXAMPLE 17 — Retries and fallback models
+// Rate limits, overloads and transient server errors are retried with
+// exponential backoff (Retry-After is honoured). When a model keeps failing,
+// the next one in the list is tried. raw.aiEngine.model tells you which
+// model actually answered.
+// =============================================================================
+aiEngine.retry.retries = 3;
+aiEngine.callAI(['anthropic-sonnet', 'alter-claude-sonnet', 'ollama-llama3'], {
+    role:  'You are a concise summariser.',
+    goal:  'Summarise the note in three bullet points.',
+    input: draft.content,
+    retry: { baseDelay: 2000 },   // per-call override; use false to disable retries
+}, function (responseText, raw) {
+    draft.content = draft.content + '\n\n' + responseText;
+    draft.update();
+    app.displayInfoMessage('Answered by ' + raw.aiEngine.model);
+});
+
+
+// =============================================================================
+// EXAMPLE 18 — Structured JSON output with a schema
+// params.schema turns on JSON mode: the reply is parsed (code fences are
+// stripped), validated, and re-requested with the errors if it does not match.
+// onSuccess receives the parsed object instead of text.
+// =============================================================================
+aiEngine.callAI(MODEL, {
+    role:   'You extract action items from meeting notes.',
+    goal:   'List every task mentioned in the note.',
+    input:  draft.content,
+    schema: {
+        type: 'object',
+        required: ['tasks'],
+        properties: {
+            tasks: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    required: ['title'],
+                    properties: {
+                        title: { type: 'string' },
+                        due:   { type: ['string', 'null'] },
+                    },
+                },
+            },
+            tags: { type: 'array', items: { type: 'string' } },
+        },
+    },
+}, function (result, raw) {
+    for (var i = 0; i < result.tasks.length; i++) {
+        var task = Draft.create();
+        task.content = result.tasks[i].title;
+        task.addTag('task');
+        task.update();
+    }
+});
+
+// Or use the 'json' keyword: sets [[ai_json]] plus [[ai_tasks]], [[ai_tags]], ...
+aiEngine.callAI(MODEL, {
+    goal:  'Return { "title": string, "tags": [string] } for this note.',
+    input: draft.content,
+}, 'json');
+
+
+// =============================================================================
+// EXAMPLE 19 — Summarise a long transcript (map-reduce)
+// The input is split at headings and paragraph breaks into chunks that fit the
+// model's context window. Each chunk is summarised, then the partial results
+// are merged by a final "reduce" prompt. Short input is sent as one call.
+// =============================================================================
+aiEngine.callAIChunked('ollama-mistral', {
+    role:   'You are a meeting assistant.',
+    goal:   'Summarise the meeting transcript: decisions, open questions and action items.',
+    output: 'Markdown with the headings ## Decisions, ## Open Questions and ## Action Items.',
+    input:  draft.content,
+    reduce: 'Merge these partial meeting summaries into one summary without repeating items.',
+}, 'append');
+
+
+// =============================================================================
+// EXAMPLE 20 — Cache responses for unchanged drafts
+// Re-running the same action on the same draft reuses the earlier answer
+// instead of paying for it again. Cached answers still reach onSuccess;
+// raw.aiEngine.cached is true for them.
+// =============================================================================
+aiEngine.cache.enabled = true;
+aiEngine.cache.ttl     = 24 * 60 * 60;   // seconds; 0 keeps entries forever
+aiEngine.callAI(MODEL, draft.content, 'tokens');
+
+// Per call: { cache: false } skips the cache, { cache: { refresh: true } } forces
+// a fresh answer and stores it. Housekeeping:
+//   aiEngine.cache.stats();   // { entries, expired, hits, misses, writes }
+//   aiEngine.cache.clear();
+
+
+// =============================================================================
+// EXAMPLE 21 — Track token usage and cost
+// Every result carries raw.aiEngine.usage = { inputTokens, outputTokens,
+// totalTokens, cost }. Turn on the ledger to keep a history of all calls
+// (model, action name, tokens, estimated cost from the prices in MODELS).
+// =============================================================================
+aiEngine.ledger.enabled = true;
+// aiEngine.ledger.store = aiEngine.ledger.draftStore();   // keep it in a tagged draft instead of a JSON file
+aiEngine.callAI(MODEL, draft.content, function (responseText, raw) {
+    var usage = raw.aiEngine.usage;
+    app.displayInfoMessage(usage.totalTokens + ' tokens, ~$' + (usage.cost || 0).toFixed(4));
+});
+
+// Monthly report grouped by action, written to a new draft.
+var report = aiEngine.usageReport({ since: '2026-10-01', groupBy: 'action' });
+var reportDraft = Draft.create();
+reportDraft.content = '# AI usage since 2026-10-01\n\n' + report.text;
+reportDraft.update();
+
+
+// =============================================================================
+// EXAMPLE 22 — Shared prompt templates
+// Keep prompts in drafts tagged "ai-prompt" (or in Library/Prompts/<name>.md)
+// so many actions can share one writing style. A definition looks like:
+//
+//   ---
+//   name: client-email
+//   extends: house-style          (inherit sections and variables from another prompt)
+//   model: alter-gemini-pro
+//   success: replace
+//   variables:
+//     tone: friendly
+//   ---
+//   # Role
+//   You write emails for {{author}} in a {{tone}} tone.
+//   # Goal
+//   Turn my notes titled "{{title}}" into an email to {{recipient}}.
+//
+// Built-in variables: title, content, selection, date, time, tags, uuid.
+// =============================================================================
+aiEngine.callPrompt('client-email', { recipient: 'the project team', author: 'Sam' });
+
+
+// =============================================================================
+// EXAMPLE 23 — Work on the selection only, and review before replacing
+// input: 'selection' sends just the selected text. 'replaceSelection' swaps
+// it for the response; 'review' shows a line diff first and only applies the
+// change if you tap Apply. The previous content is saved to the draft's
+// version history first, so any AI edit can be undone.
+// =============================================================================
+aiEngine.callAI(MODEL, {
+    role:   'You are a careful copy editor.',
+    goal:   'Tighten this paragraph without changing its meaning.',
+    output: 'Return only the revised paragraph.',
+    input:  'selection',
+}, 'review');
+
+// Other selection/cursor-aware keywords:
+aiEngine.callAI(MODEL, { goal: 'Suggest a next sentence.', input: 'selection' }, 'insertAtCursor');
+aiEngine.callAI(MODEL, { goal: 'List the action items.', input: draft.content }, 'appendToSection:Next Steps');
+
+// Keep backups as separate drafts tagged "ai-backup" instead of versions:
+aiEngine.backup = 'draft';
+
+
+// =============================================================================
+// EXAMPLE 24 — OCR and summarise a whiteboard photo
+// params.images works with models marked vision: true (see the README table).
+// Images can be data URIs, https URLs, { data, mimeType } objects, or paths to
+// files in iCloud Drafts holding base64 text — e.g. saved by a Shortcuts
+// "Base64 Encode" step that runs on a photo before this action.
+// =============================================================================
+aiEngine.callAI('anthropic-sonnet', {
+    role:   'You transcribe whiteboard photos.',
+    goal:   'Transcribe the whiteboard, then summarise it in three bullet points.',
+    output: 'A "## Transcript" section followed by a "## Summary" section.',
+    input:  draft.content,
+    images: ['/Library/Inbox/whiteboard.b64'],
+}, 'append');
+
+
+// =============================================================================
+// EXAMPLE 25 — Let the model look things up in your drafts
+// The built-in tools (search_drafts, read_draft, create_draft, add_tags) run
+// against your Drafts library; your own tools are plain objects with a run
+// function. The model may call tools up to aiEngine.maxToolSteps (5) times
+// before it must answer.
+// =============================================================================
+var wordCount = {
+    name:        'word_count',
+    description: 'Count the words in a piece of text.',
+    parameters:  { type: 'object', properties: { text: { type: 'string' } }, required: ['text'] },
+    run: function (args) { return args.text.split(/\s+/).filter(Boolean).length; },
+};
+
+aiEngine.callAI('anthropic-sonnet', {
+    role:   'You are a research assistant with access to my notes.',
+    goal:   'Answer the question using my drafts tagged "meeting". Cite draft titles.',
+    input:  draft.content,
+    tools:  ['search_drafts', 'read_draft', wordCount],
+}, 'append');
+
+
+// =============================================================================
+// EXAMPLE 26 — Generation settings and model discovery
+// temperature, topP, stop and maxTokens can be set per call, per model
+// (aiEngine.registerModel or Library/ai-engine-models.json), or in prompt
+// template front-matter. discoverModels registers what a provider serves.
+// =============================================================================
+aiEngine.callAI('anthropic-sonnet', {
+    goal:        'Write three alternative subject lines for this email.',
+    input:       draft.content,
+    temperature: 0.9,
+    maxTokens:   300,
+}, 'append');
+
+// Every model pulled in Ollama becomes ollama-<name>; save: true keeps them
+// in Library/ai-engine-models.json for later runs.
+var local = aiEngine.discoverModels('ollama', { save: true });
+aiEngine.callAI(local[0], { input: draft.content, temperature: 0 }, 'new');
+
+
+// =============================================================================
+// EXAMPLE 27 — Results instead of callbacks, and a three-step pipeline
+// run() returns { ok, text, raw, model, usage, error }. pipeline() runs steps
+// in order; each output is {{name}} for later steps and the template tag
+// ai_<name> for the rest of the action.
+// =============================================================================
+var result = aiEngine.run(MODEL, { goal: 'Is this draft a meeting note? Answer yes or no.', input: draft.content });
+if (result.ok && /yes/i.test(result.text)) {
+    var run = aiEngine.pipeline([
+        { name: 'summary', model: 'anthropic-haiku',  prompt: { goal: 'Summarise these meeting notes in five bullets.' } },
+        { name: 'tasks',   model: 'anthropic-haiku',  prompt: { goal: 'List every task with its owner.' }, input: '{{content}}' },
+        { name: 'title',   model: 'anthropic-sonnet', prompt: { goal: 'Write a short title for this summary.' }, input: '{{summary}}' },
+    ]);
+    if (run.ok) {
+        draft.content = '# ' + run.outputs.title + '\n\n' + run.outputs.summary + '\n\n## Tasks\n' + run.outputs.tasks;
+        draft.update();
+    } else {
+        context.fail(run.error);
+    }
+}
+
+
+// =============================================================================
+// EXAMPLE 28 — Batch over a tag, resuming where the last run stopped
+// Each finished draft gets the ai-processed tag and is skipped next time;
+// a summary draft tagged ai-batch links to every success and failure.
+// =============================================================================
+var report = aiEngine.batch({ tag: 'inbox-triage' }, {
+    goal: 'Summarise this draft in one sentence.',
+}, function (response, raw, target) {
+    target.content = target.content + '\n\n> ' + response;
+    target.update();
+}, { name: 'Inbox triage', model: 'anthropic-haiku', limit: 25 });
+if (report.error) { context.fail(report.error); }
+
+
+// =============================================================================
+// EXAMPLE 29 — Work and personal keys, and checking a key
+// Each profile keeps its own key ("OpenAI (work)"); the first call with a new
+// profile asks for it. validate() makes a cheap request to test the key.
+// =============================================================================
+var check = aiEngine.credentials.validate('openai', { profile: 'work' });
+if (!check.ok) {
+    alert('The work OpenAI key did not work (' + check.error + '). You will be asked for a new one.');
+    check = aiEngine.credentials.rotate('openai', { profile: 'work' });
+}
+if (check.ok) {
+    aiEngine.callAI('openai-4o', { goal: 'Draft a reply to this email.', input: draft.content, profile: 'work' }, 'append');
+}
+
+
+// =============================================================================
+// EXAMPLE 30 — Output policies
+// Fixers clean the reply; validators send it back with the problems (once by
+// default) before the success keyword runs. Register team rules by name.
+// =============================================================================
+aiEngine.registerPolicy('signedOff', {
+    check: function (text) {
+        if (!/\n— ?Sam\s*$/.test(text)) { return 'the reply must end with "— Sam" on its own line'; }
+    },
+});
+
+aiEngine.callAI('anthropic-sonnet', {
+    role:     'You write short, friendly replies to client emails.',
+    goal:     'Reply to this email.',
+    input:    draft.content,
+    policies: ['noPreamble', 'stripMarkdown', 'normalizeQuotes', 'bannedPhrases:circle back, synergy', 'signedOff'],
+}, 'append');
+
+
+// =============================================================================
+// EXAMPLE 31 — Guarding pasted email against prompt injection
+// The input is fenced off as untrusted data; 'block' stops the call when it
+// contains phrases like "ignore previous instructions". The verdict says what
+// was found either way.
+// =============================================================================
+var guardedRun = aiEngine.run(MODEL, {
+    role:  'You summarise emails for a busy reader.',
+    goal:  'Summarise this email in three bullets.',
+    input: draft.content,
+    guard: 'block',
+});
+if (guardedRun.guard && guardedRun.guard.flagged) {
+    app.displayInfoMessage('Injection guard: ' + guardedRun.guard.action + ' — ' +
+                           guardedRun.guard.matches.map(function (m) { return m.name; }).join(', '));
+}
+if (guardedRun.ok) {
+    draft.content = draft.content + '\n\n## Summary\n' + guardedRun.text;
+    draft.update();
+} else {
+    context.fail(guardedRun.error);
+}
+
+
+// =============================================================================
+// EXAMPLE 32 — Telling errors apart, with a diagnostics log
+// err prints as the usual message; err.code says what kind of failure it was.
+// The log draft (tagged ai-engine-log) keeps redacted details for later.
+// =============================================================================
+aiEngine.diagnostics.enabled = true;
+aiEngine.diagnostics.errorsOnly = true;
+
+aiEngine.callAI(['anthropic-sonnet', 'openai-4o'], {
+    goal:  'Suggest a title for this draft.',
+    input: draft.content,
+}, 'tokens', function (err) {
+    if (err.code === 'rate_limit' || err.code === 'overloaded') {
+        app.displayWarningMessage('AI is busy (' + err.provider + '). Try again in a minute.');
+        context.cancel();
+    } else if (err.code === 'context_length') {
+        aiEngine.callAIChunked('anthropic-sonnet', { goal: 'Suggest a title for this draft.', input: draft.content }, 'tokens');
+    } else {
+        alert('AI error (' + err.code + ', ' + err.provider + ' ' + err.status + '): ' + (err.providerMessage || err.message));
+        context.fail('AI Engine Error: ' + err);
+    }
+});
+
+
+// =============================================================================
+// EXAMPLE 33 — Comparing models side by side
+// Every model gets the same prompt; a judge ranks the answers (shown to it as
+// Response A, B, … without model names) against the output criteria. The
+// report draft is tagged ai-compare.
+// =============================================================================
+var comparison = aiEngine.compare(['anthropic-sonnet', 'openai-4o', 'ollama-llama3'], {
+    goal:   'Rewrite this paragraph for a non-technical reader.',
+    output: 'Plain text, under 80 words, no jargon.',
+    input:  draft.content,
+}, { judge: 'anthropic-opus' });
+
+if (comparison.ranking) {
+    app.displayInfoMessage('Best: ' + comparison.ranking[0].model);
+}
@@ -0,0 +1,179 @@
+// engine.batch over tag, text and workspace selections, with resume.
+//
+// Run with: node --test test/*.test.js
+
+var test    = require('node:test');
+var assert  = require('node:assert');
+var harness = require('./harness');
+
+// Replies "Summary of <first line of input>" and fails for inputs containing FAIL.
+function summarising(options) {
+    var h = harness.create(options);
+    h.engine.defaultModel = 'anthropic-haiku';
+    h.engine.transport = function (request) {
+        h.http.requests.push(request);
+        var input = request.data.messages[0].content;
+        if (input.indexOf('FAIL') >= 0) {
+            return harness.toResponse(harness.loadFixture('anthropic-400'));
+        }
+        return harness.toResponse({ body: { content: [{ type: 'text', text: 'Summary of ' + input.split('\n')[0] }] } });
+    };
+    return h;
+}
+
+function inbox(h, contents, tag) {
+    return contents.map(function (content) {
+        var d = h.addDraft(content);
+        if (tag) { d.addTag(tag); }
+        return d;
+    });
+}
+
+test('batch runs the prompt on each matching draft and applies the keyword to it', function () {
+    var h = summarising({ content: 'Current draft' });
+    var drafts = inbox(h, ['Alpha\nbody', 'Beta\nbody'], 'triage');
+    inbox(h, ['Untagged']);
+
+    var report = h.engine.batch({ tag: 'triage' }, { goal: 'Summarise' }, 'append', { model: 'anthropic-haiku', progress: false });
+
+    assert.strictEqual(report.ok, true);
+    assert.strictEqual(report.total, 2);
+    assert.strictEqual(drafts[0].content, 'Alpha\nbody\nSummary of Alpha');
+    assert.strictEqual(drafts[1].content, 'Beta\nbody\nSummary of Beta');
+    assert.deepStrictEqual(drafts[0].tags, ['triage', 'ai-processed']);
+    assert.strictEqual(h.draft.content, 'Current draft', 'the current draft is left alone');
+    assert.strictEqual(h.engine.host.draft, h.draft, 'the current draft is restored');
+});
+
+test('batch skips drafts with the marker tag, so a rerun resumes', function () {
+    var h = summarising();
+    var drafts = inbox(h, ['One', 'Two', 'Three'], 'triage');
+
+    var first = h.engine.batch({ tag: 'triage' }, { goal: 'Summarise' }, 'append', { limit: 2, progress: false, summary: false });
+    var second = h.engine.batch({ tag: 'triage' }, { goal: 'Summarise' }, 'append', { progress: false, summary: false });
+
+    assert.strictEqual(first.total, 2);
+    assert.strictEqual(second.total, 1);
+    assert.strictEqual(second.skipped, 2);
+    assert.strictEqual(drafts[2].content, 'Three\nSummary of Three');
+    assert.strictEqual(h.http.requests.length, 3);
+});
+
+test('batch can track progress in a checkpoint file instead of tags', function () {
+    var h = summarising();
+    var drafts = inbox(h, ['One', 'Two'], 'triage');
+    var options = { marker: false, checkpoint: true, name: 'weekly', progress: false, summary: false };
+
+    h.engine.batch({ tag: 'triage' }, { goal: 'Summarise' }, 'tokens', options);
+    var again = h.engine.batch({ tag: 'triage' }, { goal: 'Summarise' }, 'tokens', options);
+
+    assert.deepStrictEqual(drafts[0].tags, ['triage']);
+    assert.strictEqual(again.total, 0);
+    assert.strictEqual(again.skipped, 2);
+    var saved = JSON.parse(h.state.files.cloud['/Library/ai-engine-batch.json']);
+    assert.deepStrictEqual(saved.weekly.sort(), [drafts[0].uuid, drafts[1].uuid].sort());
+});
+
+test('batch records failures, keeps going and writes a summary draft', function () {
+    var h = summarising();
+    var drafts = inbox(h, ['Good one', 'FAIL here', 'Good two'], 'triage');
+
+    var report = h.engine.batch({ tag: 'triage' }, { goal: 'Summarise' }, 'append', { name: 'Inbox', progress: false });
+
+    assert.strictEqual(report.ok, false);
+    assert.strictEqual(report.succeeded.length, 2);
+    assert.strictEqual(report.failed[0].uuid, drafts[1].uuid);
+    assert.match(report.failed[0].error, /API error 400/);
+    assert.deepStrictEqual(drafts[1].tags, ['triage'], 'failed drafts are retried next time');
+
+    var summary = report.summary;
+    assert.deepStrictEqual(summary.tags, ['ai-batch']);
+    assert.ok(summary.content.indexOf('# AI batch: Inbox') === 0);
+    assert.ok(summary.content.indexOf('Succeeded: 2 · Failed: 1 · Skipped: 0') >= 0);
+    assert.ok(summary.content.indexOf('[Good one](drafts://open?uuid=' + drafts[0].uuid + ')') >= 0);
+    assert.ok(summary.content.indexOf('[FAIL here](drafts://open?uuid=' + drafts[1].uuid + ') — Anthropic API error 400') >= 0);
+});
+
+test('batch selects by text, folder and workspace', function () {
+    var h = summarising();
+    var drafts = inbox(h, ['Meeting with Ann', 'Shopping list', 'Meeting with Bob']);
+    drafts[2].isArchived = true;
+    h.state.workspaces['Work'] = [drafts[0], drafts[1]];
+
+    var byText = h.engine.batch({ query: 'meeting' }, { goal: 'x' }, 'tokens', { marker: false, progress: false, summary: false });
+    var archived = h.engine.batch({ query: 'Meeting', folder: 'archive' }, { goal: 'x' }, 'tokens', { marker: false, progress: false, summary: false });
+    var workspace = h.engine.batch({ workspace: 'Work', query: 'shopping' }, { goal: 'x' }, 'tokens', { marker: false, progress: false, summary: false });
+    var missing = h.engine.batch({ workspace: 'Nope' }, { goal: 'x' }, 'tokens');
+
+    assert.deepStrictEqual(byText.succeeded.map(function (d) { return d.uuid; }), [drafts[0].uuid]);
+    assert.deepStrictEqual(archived.succeeded.map(function (d) { return d.uuid; }), [drafts[2].uuid]);
+    assert.deepStrictEqual(workspace.succeeded.map(function (d) { return d.uuid; }), [drafts[1].uuid]);
+    assert.match(missing.error, /no workspace named "Nope"/);
+});
+
+test('batch trusts Drafts\' own query matching outside workspaces', function () {
+    var h = summarising();
+    var drafts = inbox(h, ['Meeting with Ann', 'Lunch with Bob']);
+    var asked = [];
+    h.engine.host.Draft.query = function (text, folder, tags) {
+        asked.push([text, folder, tags]);
+        return drafts;
+    };
+
+    var report = h.engine.batch({ query: '"with Ann" OR Bob', tag: 'inbox' }, { goal: 'x' }, 'tokens',
+                                { marker: false, progress: false, summary: false });
+
+    assert.deepStrictEqual(asked, [['"with Ann" OR Bob', 'inbox', ['inbox']]]);
+    assert.strictEqual(report.total, 2);
+});
+
+test('batch fills prompt templates from each draft and shows progress', function () {
+    var h = summarising();
+    h.addDraft('---\nname: titled\nsuccess: append\n---\n# Goal\nSummarise "{{title}}"').addTag('ai-prompt');
+    var drafts = inbox(h, ['First', 'Second'], 'triage');
+    var progress = [];
+
+    h.engine.batch({ tag: 'triage' }, 'titled', null, {
+        progress: function (index, total, d) { progress.push(index + '/' + total + ' ' + d.title); },
+        summary: false,
+    });
+
+    assert.ok(h.http.requests[1].data.system.indexOf('Summarise "Second"') >= 0);
+    assert.strictEqual(drafts[0].content, 'First\nSummary of First', 'the template\'s success keyword is used');
+    assert.deepStrictEqual(progress, ['1/2 First', '2/2 Second']);
+});
+
+test('batch passes each draft to a handler function', function () {
+    var h = summarising();
+    var drafts = inbox(h, ['One'], 'triage');
+    var seen = [];
+
+    h.engine.batch({ tag: 'triage' }, { goal: 'x' }, function (response, raw, d) { seen.push([response, d.uuid]); },
+                   { progress: false, summary: false });
+
+    assert.deepStrictEqual(seen, [['Summary of One', drafts[0].uuid]]);
+});
+
+test('a handler that throws fails that draft and the batch goes on', function () {
+    var h = summarising();
+    var drafts = inbox(h, ['One', 'Two'], 'triage');
+
+    var report = h.engine.batch({ tag: 'triage' }, { goal: 'x' }, function (response, raw, d) {
+        if (d.content === 'One') { throw new Error('no room for ' + response); }
+    }, { name: 'Handlers', progress: false });
+
+    assert.strictEqual(report.ok, false);
+    assert.deepStrictEqual(report.failed, [{ uuid: drafts[0].uuid, title: 'One', error: 'ai-engine: no room for Summary of One' }]);
+    assert.deepStrictEqual(report.succeeded, [{ uuid: drafts[1].uuid, title: 'Two' }]);
+    assert.deepStrictEqual(drafts[0].tags, ['triage'], 'the failed draft is retried next time');
+    assert.ok(report.summary.content.indexOf('Succeeded: 1 · Failed: 1') >= 0);
+    assert.strictEqual(h.engine.host.draft, h.draft);
+});
+
+test('batch refuses keywords that need an editor selection', function () {
+    var h = summarising();
+    inbox(h, ['One'], 'triage');
+    var report = h.engine.batch({ tag: 'triage' }, { goal: 'x' }, 'replaceSelection');
+    assert.match(report.error, /needs an editor selection/);
+    assert.strictEqual(h.http.requests.length, 0);
+});
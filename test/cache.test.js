@@ -0,0 +1,95 @@
+// The response cache: opt-in, per-call overrides, TTL expiry, stats and clear.
+//
+// Run with: node --test test/*.test.js
+
+var test    = require('node:test');
+var assert  = require('node:assert');
+var harness = require('./harness');
+
+function caching() {
+    var h = harness.create();
+    h.engine.cache.enabled = true;
+    h.http.reply('api.anthropic.com', 'anthropic-message');
+    return h;
+}
+
+// Runs fn with Date.now returning now + offset seconds.
+function later(seconds, fn) {
+    var now = Date.now;
+    var base = now();
+    Date.now = function () { return base + seconds * 1000; };
+    try { return fn(); } finally { Date.now = now; }
+}
+
+test('the cache is off unless enabled or asked for per call', function () {
+    var h = harness.create();
+    h.http.reply('api.anthropic.com', 'anthropic-message');
+
+    h.engine.run('anthropic-haiku', 'Hello');
+    h.engine.run('anthropic-haiku', 'Hello');
+    assert.strictEqual(h.http.requests.length, 2);
+
+    h.engine.run('anthropic-haiku', { input: 'Hello', cache: true });
+    var hit = h.engine.run('anthropic-haiku', { input: 'Hello', cache: true });
+    assert.strictEqual(h.http.requests.length, 3);
+    assert.strictEqual(hit.raw.aiEngine.cached, true);
+});
+
+test('a repeated prompt is answered from the cache at no cost', function () {
+    var h = caching();
+
+    var first = h.engine.run('anthropic-haiku', 'Hello');
+    var second = h.engine.run('anthropic-haiku', 'Hello');
+    h.engine.run('anthropic-haiku', 'Hello again');
+
+    assert.strictEqual(h.http.requests.length, 2);
+    assert.strictEqual(second.text, first.text);
+    assert.strictEqual(first.raw.aiEngine.cached, false);
+    assert.strictEqual(second.raw.aiEngine.cached, true);
+    assert.strictEqual(second.raw.aiEngine.attempts, 0);
+    assert.strictEqual(second.usage.cost, 0);
+    assert.strictEqual(second.usage.inputTokens, 40);
+    assert.deepStrictEqual(h.engine.cache.stats(), { entries: 2, expired: 0, hits: 1, misses: 2, writes: 2 });
+    assert.strictEqual(Object.keys(JSON.parse(h.state.files.cloud['/Library/ai-engine-cache.json'])).length, 2,
+                       'entries live in the iCloud cache file by default');
+});
+
+test('cache: false bypasses it and refresh fetches a new answer', function () {
+    var h = caching();
+    h.engine.run('anthropic-haiku', 'Hello');
+
+    h.engine.run('anthropic-haiku', { input: 'Hello', cache: false });
+    var refreshed = h.engine.run('anthropic-haiku', { input: 'Hello', cache: { refresh: true } });
+
+    assert.strictEqual(h.http.requests.length, 3);
+    assert.strictEqual(refreshed.raw.aiEngine.cached, false);
+    assert.deepStrictEqual(h.engine.cache.stats(), { entries: 1, expired: 0, hits: 0, misses: 1, writes: 2 });
+});
+
+test('entries expire after their TTL', function () {
+    var h = caching();
+    h.engine.run('anthropic-haiku', { input: 'Hello', cache: { ttl: 60 } });
+
+    later(30, function () { h.engine.run('anthropic-haiku', 'Hello'); });
+    assert.strictEqual(h.http.requests.length, 1);
+
+    later(61, function () {
+        assert.deepStrictEqual(h.engine.cache.stats().expired, 1);
+        h.engine.run('anthropic-haiku', 'Hello');
+    });
+    assert.strictEqual(h.http.requests.length, 2);
+});
+
+test('clear empties the store and resets the counters', function () {
+    var h = caching();
+    h.engine.cache.store = h.engine.cache.memoryStore();
+    h.engine.run('anthropic-haiku', 'Hello');
+    h.engine.run('anthropic-haiku', 'Hello');
+
+    h.engine.cache.clear();
+
+    assert.deepStrictEqual(h.engine.cache.stats(), { entries: 0, expired: 0, hits: 0, misses: 0, writes: 0 });
+    assert.strictEqual(h.state.files.cloud['/Library/ai-engine-cache.json'], undefined, 'memoryStore never writes files');
+    h.engine.run('anthropic-haiku', 'Hello');
+    assert.strictEqual(h.http.requests.length, 2);
+});
@@ -0,0 +1,61 @@
+// engine.chat: transcript parsing, the reply turn and transcript errors.
+//
+// Run with: node --test test/*.test.js
+
+var test    = require('node:test');
+var assert  = require('node:assert');
+var harness = require('./harness');
+
+function chatting(content) {
+    var h = harness.create({ content: content });
+    h.http.reply('api.anthropic.com', 'anthropic-message');
+    return h;
+}
+
+test('assistant turns before the first user turn are left out', function () {
+    var h = chatting('## assistant\nHi! How can I help?\n\n## user\nSummarise my week.');
+
+    h.engine.chat('anthropic-sonnet');
+
+    assert.deepStrictEqual(h.http.requests[0].data.messages, [{ role: 'user', content: 'Summarise my week.' }]);
+    assert.strictEqual(h.state.failures.length, 0);
+});
+
+test('chat sends the transcript as turns and appends the reply', function () {
+    var h = chatting('Plan a trip.\n\n## assistant\nWhere to?\n\n## user\nLisbon.\n\n## USER\nIn May.');
+    var seen = [];
+
+    h.engine.chat('anthropic-sonnet', null, { role: 'You are a travel agent.' }, function (text) { seen.push(text); });
+
+    var body = h.http.requests[0].data;
+    assert.deepStrictEqual(body.messages, [
+        { role: 'user', content: 'Plan a trip.' },
+        { role: 'assistant', content: 'Where to?' },
+        { role: 'user', content: 'Lisbon.\n\nIn May.' },
+    ], 'text above the first heading is a user turn and same-speaker turns are merged');
+    assert.ok(body.system.indexOf('You are a travel agent.') >= 0);
+    assert.deepStrictEqual(seen, ['Hello from Claude.']);
+    assert.strictEqual(h.draft.content,
+        'Plan a trip.\n\n## assistant\nWhere to?\n\n## user\nLisbon.\n\n## USER\nIn May.\n\n## assistant\nHello from Claude.\n\n## user\n');
+});
+
+test('chat refuses a transcript whose last user turn is empty', function () {
+    var h = chatting('Current');
+    var transcript = h.addDraft('## user\nHi\n\n## assistant\nHello\n\n## user\n');
+
+    var failures = [];
+    h.engine.chat('anthropic-sonnet', transcript, null, null, function (err) { failures.push(err); });
+
+    assert.strictEqual(h.http.requests.length, 0);
+    assert.match(String(failures[0]), /must end with a non-empty "## user" turn/);
+    assert.strictEqual(failures[0].code, 'config');
+    assert.strictEqual(transcript.content, '## user\nHi\n\n## assistant\nHello\n\n## user\n');
+    assert.strictEqual(h.draft.content, 'Current');
+});
+
+test('chat fails the action by default when the transcript has no question', function () {
+    var h = chatting('');
+    h.engine.chat('anthropic-sonnet');
+    assert.deepStrictEqual(h.state.failures,
+                           ['AI Engine Error: ai-engine: chat transcript must end with a non-empty "## user" turn.']);
+});
@@ -0,0 +1,90 @@
+// callAIChunked: splitting long input, the map and reduce calls, and errors.
+//
+// Run with: node --test test/*.test.js
+
+var test    = require('node:test');
+var assert  = require('node:assert');
+var harness = require('./harness');
+
+// Replies "R<n>" to the nth request and fails for inputs containing FAIL.
+function numbered(options) {
+    var h = harness.create(options);
+    h.engine.transport = function (request) {
+        h.http.requests.push(request);
+        if (request.data.messages[0].content.indexOf('FAIL') >= 0) {
+            return harness.toResponse(harness.loadFixture('anthropic-400'));
+        }
+        return harness.toResponse({ body: { content: [{ type: 'text', text: 'R' + h.http.requests.length }] } });
+    };
+    return h;
+}
+
+function inputs(h) {
+    return h.http.requests.map(function (r) { return r.data.messages[0].content; });
+}
+
+var SECTIONS = '# One\nAlpha alpha.\n\n# Two\nBeta beta.\n\n# Three\nGamma gamma.';
+
+test('input that fits is sent as one ordinary call', function () {
+    var h = numbered();
+    var result = h.call('callAIChunked', 'anthropic-haiku', { goal: 'Summarise', input: SECTIONS });
+
+    assert.strictEqual(result.text, 'R1');
+    assert.deepStrictEqual(inputs(h), [SECTIONS]);
+});
+
+test('long input is split at headings, mapped, then merged', function () {
+    var h = numbered();
+    var result = h.call('callAIChunked', 'anthropic-haiku', { goal: 'Summarise', input: SECTIONS, chunkTokens: 6, chunkOverlap: 0 });
+
+    assert.strictEqual(result.text, 'R4');
+    assert.deepStrictEqual(inputs(h), [
+        '[Part 1 of 3]\n\n# One\nAlpha alpha.',
+        '[Part 2 of 3]\n\n# Two\nBeta beta.',
+        '[Part 3 of 3]\n\n# Three\nGamma gamma.',
+        '## Part 1\nR1\n\n## Part 2\nR2\n\n## Part 3\nR3',
+    ]);
+    var reduceSystem = h.http.requests[3].data.system;
+    assert.ok(reduceSystem.indexOf('consecutive sections of one long document — the task was: Summarise') >= 0);
+});
+
+test('chunks repeat trailing blocks as overlap and cut long blocks at sentences', function () {
+    var h = numbered();
+    var a = new Array(31).join('a'), b = new Array(11).join('b'), c = new Array(51).join('c');
+    h.call('callAIChunked', 'anthropic-haiku', { input: a + '\n\n' + b + '\n\n' + c, chunkTokens: 20, chunkOverlap: 5, reduce: 'Join' });
+
+    assert.deepStrictEqual(inputs(h).slice(0, 2), ['[Part 1 of 2]\n\n' + a + '\n\n' + b, '[Part 2 of 2]\n\n' + b + '\n\n' + c]);
+    assert.ok(h.http.requests[2].data.system.indexOf('# Goal\nJoin') >= 0, 'a reduce string is the merge goal');
+
+    var g = numbered();
+    var sentences = 'First sentence here. Second sentence here. Third sentence here.';
+    g.call('callAIChunked', 'anthropic-haiku', { input: sentences, chunkTokens: 6, chunkOverlap: 0 });
+    assert.deepStrictEqual(inputs(g).slice(0, 3), [
+        '[Part 1 of 3]\n\nFirst sentence here. ',
+        '[Part 2 of 3]\n\nSecond sentence here. ',
+        '[Part 3 of 3]\n\nThird sentence here.',
+    ]);
+});
+
+test('a failing part stops the run and names the part', function () {
+    var h = numbered();
+    var result = h.call('callAIChunked', 'anthropic-haiku', { input: '# One\nFine.\n\n# Two\nFAIL now.\n\n# Three\nNever sent.',
+                                                              chunkTokens: 6, chunkOverlap: 0 });
+
+    assert.strictEqual(result.ok, false);
+    assert.match(result.error, /^ai-engine: part 2 of 3 failed — Anthropic API error 400/);
+    assert.strictEqual(result.failure.status, 400);
+    assert.strictEqual(h.http.requests.length, 2);
+});
+
+test('unknown keywords and models are reported before any request', function () {
+    var h = numbered();
+    var errors = [];
+    var collect = function (err) { errors.push(String(err)); };
+    h.engine.callAIChunked('anthropic-haiku', 'x', 'bogus', collect);
+    h.engine.callAIChunked('nope', 'x', 'new', collect);
+
+    assert.match(errors[0], /unknown success keyword "bogus"/);
+    assert.match(errors[1], /unknown model "nope"/);
+    assert.strictEqual(h.http.requests.length, 0);
+});
@@ -0,0 +1,84 @@
+// engine.compare: one prompt to several models, the comparison draft and the
+// optional judge.
+//
+// Run with: node --test test/*.test.js
+
+var test    = require('node:test');
+var assert  = require('node:assert');
+var harness = require('./harness');
+
+function threeProviders() {
+    var h = harness.create();
+    h.http.reply('api.anthropic.com', 'anthropic-message');
+    h.http.reply('api.openai.com', 'openai-chat');
+    h.http.reply('localhost:11434', 'ollama-404');
+    return h;
+}
+
+test('compare sends the same prompt to every model and keeps going after a failure', function () {
+    var h = threeProviders();
+    var params = { goal: 'Say hello', output: 'One sentence', input: 'Hi', retry: false };
+
+    var report = h.engine.compare(['anthropic-sonnet', 'ollama-llama3', 'openai-4o'], params);
+
+    assert.strictEqual(report.ok, true);
+    assert.deepStrictEqual(report.results.map(function (r) { return [r.model, r.ok]; }),
+                           [['anthropic-sonnet', true], ['ollama-llama3', false], ['openai-4o', true]]);
+    assert.strictEqual(report.results[0].text, 'Hello from Claude.');
+    assert.strictEqual(report.results[0].usage.inputTokens, 40);
+    assert.strictEqual(typeof report.results[0].latency, 'number');
+    assert.match(report.results[1].error, /Ollama API error 404/);
+    assert.strictEqual(report.results[1].failure.code, 'api');
+    assert.strictEqual(h.http.requests[0].data.system, h.http.requests[2].data.messages[0].content,
+                       'every model gets the same system prompt');
+    assert.strictEqual(report.judge, null);
+});
+
+test('the comparison draft has a section per model', function () {
+    var h = threeProviders();
+    var report = h.engine.compare(['anthropic-sonnet', 'ollama-llama3'], { goal: 'Say hello', input: 'Hi', retry: false });
+
+    var text = report.draft.content;
+    assert.deepStrictEqual(report.draft.tags, ['ai-compare']);
+    assert.ok(text.indexOf('# AI comparison: Say hello\n') === 0);
+    assert.ok(text.indexOf('Models: 2 · Answered: 1') >= 0);
+    assert.match(text, /## anthropic-sonnet\n\*\d+\.\d s · 40 in \/ 6 out tokens · \$0\.\d{4}\*\n\nHello from Claude\./);
+    assert.match(text, /## ollama-llama3\n\*Failed after \d+\.\d s\*\n\n> Ollama API error 404/);
+    assert.strictEqual(h.engine.compare(['anthropic-sonnet'], 'Hi', { draft: false }).draft, null);
+});
+
+test('a judge ranks the replies by letter against the output criteria', function () {
+    var h = harness.create();
+    h.http.reply('api.openai.com', 'openai-chat');
+    h.http.reply(function (request) { return request.data.model === 'claude-haiku-4-5-20251001'; },
+                 { body: { content: [{ type: 'text', text: 'Hi there.' }] } });
+    h.http.reply(function (request) { return request.data.model === 'claude-sonnet-4-6'; }, { body: { content: [{ type: 'text', text:
+        '{"ranking": [{"response": "B", "reason": "Shorter."}, {"response": "Response A", "reason": "Wordier."}]}' }] } });
+
+    var report = h.engine.compare(['openai-4o', 'anthropic-haiku'], { goal: 'Greet', output: 'As short as possible', input: 'Hi' },
+                                  { judge: 'anthropic-sonnet' });
+
+    assert.deepStrictEqual(report.ranking, [{ model: 'anthropic-haiku', reason: 'Shorter.' }, { model: 'openai-4o', reason: 'Wordier.' }]);
+    assert.strictEqual(report.judge.model, 'anthropic-sonnet');
+    var judged = h.http.requests[2].data.messages[0].content;
+    assert.ok(judged.indexOf('# Criteria\nAs short as possible') >= 0);
+    assert.ok(judged.indexOf('## Response A\nHello from OpenAI.') >= 0);
+    assert.ok(judged.indexOf('## Response B\nHi there.') >= 0);
+    assert.ok(judged.indexOf('openai-4o') < 0, 'the judge does not see model names');
+    assert.ok(report.draft.content.indexOf('## Ranking (anthropic-sonnet)\n1. anthropic-haiku — Shorter.\n2. openai-4o — Wordier.') >= 0);
+});
+
+test('the judge is skipped with fewer than two replies, and its failure is recorded', function () {
+    var h = threeProviders();
+    var single = h.engine.compare(['anthropic-sonnet', 'ollama-llama3'], { input: 'Hi', retry: false }, { judge: 'anthropic-sonnet' });
+    assert.strictEqual(single.judge, null);
+    assert.strictEqual(h.http.requests.length, 2);
+
+    var g = harness.create();
+    g.http.reply('api.openai.com', 'openai-chat', 'openai-chat', 'openai-401');
+    g.engine.credentials.reprompt = false;
+    var report = g.engine.compare(['openai-4o', 'openai-4o-mini'], 'Hi', { judge: 'openai-4o' });
+    assert.strictEqual(report.ranking, null);
+    assert.match(report.judge.error, /OpenAI API error 401/);
+    assert.ok(report.draft.content.indexOf('Not ranked: OpenAI API error 401') >= 0);
+});
@@ -0,0 +1,132 @@
+// Credential profiles, per-endpoint credentials, engine.credentials and the
+// re-prompt after a rejected key.
+//
+// Run with: node --test test/*.test.js
+
+var test    = require('node:test');
+var assert  = require('node:assert');
+var harness = require('./harness');
+
+var REJECTED = { statusCode: 401, body: { type: 'error', error: { type: 'authentication_error', message: 'invalid x-api-key' } } };
+
+test('params.profile selects a separate key', function () {
+    var h = harness.create();
+    h.state.credentials['OpenAI'] = 'sk-personal';
+    h.state.credentials['OpenAI (work)'] = 'sk-work';
+    h.http.reply('api.openai.com', 'openai-chat');
+
+    h.call('callAI', 'openai-4o', 'Hello');
+    h.call('callAI', 'openai-4o', { input: 'Hello', profile: 'work' });
+
+    assert.strictEqual(h.http.requests[0].headers['Authorization'], 'Bearer sk-personal');
+    assert.strictEqual(h.http.requests[1].headers['Authorization'], 'Bearer sk-work');
+});
+
+test('a model can carry its own profile or credential identifier', function () {
+    var h = harness.create();
+    h.state.credentials['OpenAI (work)'] = 'sk-work';
+    h.state.credentials['Proxy'] = 'sk-proxy';
+    h.http.reply('api.openai.com', 'openai-chat');
+    h.http.reply('proxy.example.com', 'openai-chat');
+    h.engine.registerModel('openai-work', { provider: 'openai', model: 'gpt-4o', profile: 'work' });
+
+    h.call('callAI', 'openai-work', 'Hello');
+    h.call('callAI', { provider: 'openai', endpoint: 'https://proxy.example.com/v1', model: 'gpt-4o', credential: 'Proxy' }, 'Hello');
+
+    assert.strictEqual(h.http.requests[0].headers['Authorization'], 'Bearer sk-work');
+    assert.strictEqual(h.http.requests[1].headers['Authorization'], 'Bearer sk-proxy');
+});
+
+test('validate lists models where it can and reports rejected keys', function () {
+    var h = harness.create();
+    h.http.reply('api.openai.com/v1/models', 'openai-models', 'openai-401');
+
+    var good = h.engine.credentials.validate('openai');
+    var bad = h.engine.credentials.validate('openai', { profile: 'work' });
+
+    assert.deepStrictEqual(good, { ok: true, provider: 'openai', credential: 'OpenAI', status: 200, error: null });
+    assert.strictEqual(h.http.requests[0].method, 'GET');
+    assert.strictEqual(bad.ok, false);
+    assert.strictEqual(bad.credential, 'OpenAI (work)');
+    assert.match(bad.error, /OpenAI API error 401/);
+    assert.strictEqual(h.state.prompts.length, 0, 'validate never offers to replace the key');
+});
+
+test('validate checks Anthropic keys against the model list', function () {
+    var h = harness.create();
+    h.http.reply('api.anthropic.com/v1/models', 'anthropic-models');
+
+    var result = h.engine.credentials.validate('anthropic');
+
+    assert.strictEqual(result.ok, true);
+    assert.strictEqual(h.http.requests[0].method, 'GET');
+    assert.strictEqual(h.http.requests[0].headers['x-api-key'], 'test-key-Anthropic');
+    assert.strictEqual(h.http.requests[0].data, undefined, 'no completion is paid for');
+});
+
+test('validate sends a one-token request when there is no model list', function () {
+    var h = harness.create();
+    h.engine.registerProvider('bare', {
+        credential: 'Bare',
+        endpoint:   'https://bare.example.com',
+        model:      'small',
+        buildRequest: function (request) {
+            return { url: request.baseUrl + '/complete', headers: {}, body: { model: request.model, max: request.generation.maxTokens } };
+        },
+        parseResponse: function (result) { return { text: result.text }; },
+    });
+    h.http.reply('bare.example.com', { body: { text: 'pong' } });
+
+    var result = h.engine.credentials.validate({ provider: 'bare' });
+
+    assert.strictEqual(result.ok, true);
+    assert.deepStrictEqual(h.http.requests[0].data, { model: 'small', max: 1 });
+    assert.throws(function () { h.engine.credentials.validate('nope'); }, /unknown model "nope"/);
+});
+
+test('forget and rotate clear the stored key', function () {
+    var h = harness.create();
+    h.state.credentials['OpenAI (work)'] = 'sk-old';
+    h.http.reply('api.openai.com/v1/models', 'openai-models');
+
+    assert.strictEqual(h.engine.credentials.forget('openai', { profile: 'work' }), 'OpenAI (work)');
+    assert.strictEqual(h.engine.credentials.forget('ollama'), null, 'keyless providers have nothing to forget');
+    var rotated = h.engine.credentials.rotate('anthropic-haiku');
+
+    assert.deepStrictEqual(h.state.forgotten, ['OpenAI (work)', 'Anthropic']);
+    assert.strictEqual(rotated.credential, 'Anthropic');
+});
+
+test('a 401 offers to enter a new key and retries once', function () {
+    var h = harness.create();
+    h.state.credentials['Anthropic'] = 'sk-typo';
+    h.state.promptButton = 'Enter new key';
+    h.http.reply('api.anthropic.com', REJECTED, 'anthropic-message');
+
+    var result = h.call('callAI', 'anthropic-sonnet', 'Hello');
+
+    assert.strictEqual(result.text, 'Hello from Claude.');
+    assert.strictEqual(h.state.prompts[0].title, 'API key rejected');
+    assert.deepStrictEqual(h.state.forgotten, ['Anthropic']);
+    assert.strictEqual(h.http.requests[0].headers['x-api-key'], 'sk-typo');
+    assert.strictEqual(h.http.requests[1].headers['x-api-key'], 'test-key-Anthropic');
+});
+
+test('a declined re-prompt is not repeated, and reprompt: false skips it', function () {
+    var h = harness.create();
+    h.state.promptButton = null;
+    h.http.reply('api.anthropic.com', REJECTED);
+
+    var first = h.call('callAI', 'anthropic-sonnet', 'Hello');
+    h.call('callAI', 'anthropic-sonnet', 'Hello');
+
+    assert.match(first.error, /Anthropic API error 401/);
+    assert.strictEqual(h.state.prompts.length, 1);
+    assert.strictEqual(h.state.forgotten.length, 0);
+
+    var quiet = harness.create();
+    quiet.engine.credentials.reprompt = false;
+    quiet.http.reply('api.anthropic.com', REJECTED);
+    quiet.call('callAI', 'anthropic-sonnet', 'Hello');
+    assert.strictEqual(quiet.state.prompts.length, 0);
+});
@@ -0,0 +1,274 @@
+// Offline test harness for ai-engine.js.
+//
+// Each call to create() evaluates a fresh copy of the engine (with no Drafts
+// globals defined), then points engine.host at in-memory fakes and
+// engine.transport at an HTTP stub that replays canned responses and records
+// every request it receives.
+//
+//   var harness = require('./harness');
+//   var h = harness.create({ content: 'Hello' });
+//   h.http.reply('api.anthropic.com', 'anthropic-message');
+//   h.engine.callAI('anthropic-sonnet', 'Hi', 'replace');
+//   h.http.requests[0].data    // the body that was sent
+//   h.draft.content            // what the success handler did
+//
+// Canned responses live in test/fixtures as { statusCode, headers, body }.
+// test/record.js captures new ones from the real APIs.
+
+var fs   = require('fs');
+var path = require('path');
+var vm   = require('vm');
+
+var ENGINE_PATH  = path.join(__dirname, '..', 'ai-engine.js');
+var FIXTURES_DIR = path.join(__dirname, 'fixtures');
+
+function loadFixture(name) {
+    return JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, name + '.json'), 'utf8'));
+}
+
+// { statusCode, headers, body } → the object Drafts' HTTP.request returns.
+// statusCode 0 stands for a network failure.
+function toResponse(fixture) {
+    var status = fixture.statusCode === undefined ? 200 : fixture.statusCode;
+    var text = typeof fixture.body === 'string' ? fixture.body : JSON.stringify(fixture.body);
+    var response = {
+        success:      status >= 200 && status < 300,
+        statusCode:   status,
+        responseText: text,
+        responseData: typeof fixture.body === 'object' ? fixture.body : null,
+        headers:      fixture.headers || {},
+    };
+    if (!response.success) { response.error = status ? text : 'The network connection was lost.'; }
+    return response;
+}
+
+// ---------------------------------------------------------------------------
+// HTTP stub
+// reply(match, ...responses) queues responses for requests whose URL contains
+// match (or for which match(request) returns true). Responses are fixture
+// names or { statusCode, headers, body } objects, used in order; the last one
+// keeps answering. A request nothing matches throws, failing the test.
+// ---------------------------------------------------------------------------
+
+function httpStub() {
+    var routes = [];
+    var stub = {
+        requests: [],
+        reply: function (match) {
+            var responses = Array.prototype.slice.call(arguments, 1);
+            routes.push({ match: match, responses: responses });
+            return stub;
+        },
+        transport: function (request) {
+            stub.requests.push(JSON.parse(JSON.stringify(request)));
+            for (var i = 0; i < routes.length; i++) {
+                var route = routes[i];
+                var matched = typeof route.match === 'function' ? route.match(request) : request.url.indexOf(route.match) >= 0;
+                if (!matched) { continue; }
+                var next = route.responses.length > 1 ? route.responses.shift() : route.responses[0];
+                return toResponse(typeof next === 'string' ? loadFixture(next) : next);
+            }
+            throw new Error('harness: no canned response for ' + request.method + ' ' + request.url);
+        },
+    };
+    return stub;
+}
+
+// ---------------------------------------------------------------------------
+// Fake Drafts host objects
+// ---------------------------------------------------------------------------
+
+function fakeHost(options) {
+    var drafts = [];
+    var nextId = 1;
+    var state = {
+        drafts:      drafts,
+        files:       { cloud: {}, local: {} },
+        credentials: {},           // id → key; null makes authorize() fail
+        forgotten:   [],
+        failures:    [],           // context.fail messages
+        messages:    [],           // app.display*Message calls
+        prompts:     [],           // Prompt objects that were shown
+        promptButton: 'Apply',     // button the "user" presses; null cancels
+        selection:   [0, 0],
+        workspaces:  {},           // name → list of drafts it shows
+    };
+
+    function FakeDraft(content) {
+        this.uuid       = 'draft-' + (nextId++);
+        this.content    = content || '';
+        this.tags       = [];
+        this.versions   = [];
+        this.templateTags = {};
+        this.isArchived = false;
+        this.isTrashed  = false;
+        this.isFlagged  = false;
+    }
+    Object.defineProperty(FakeDraft.prototype, 'title', {
+        get: function () { return this.content.split('\n')[0].replace(/^#+\s*/, ''); },
+    });
+    FakeDraft.prototype.update         = function () { this.updated = true; };
+    FakeDraft.prototype.saveVersion    = function () { this.versions.push(this.content); };
+    FakeDraft.prototype.addTag         = function (tag) { if (this.tags.indexOf(tag) < 0) { this.tags.push(tag); } };
+    FakeDraft.prototype.removeTag      = function (tag) { this.tags = this.tags.filter(function (t) { return t !== tag; }); };
+    FakeDraft.prototype.hasTag         = function (tag) { return this.tags.indexOf(tag) >= 0; };
+    FakeDraft.prototype.setTemplateTag = function (key, value) { this.templateTags[key] = value; };
+    FakeDraft.prototype.getTemplateTag = function (key) { return this.templateTags[key]; };
+
+    function addDraft(content) {
+        var d = new FakeDraft(content);
+        drafts.push(d);
+        return d;
+    }
+
+    var current = addDraft(options.content || '');
+
+    function inFolder(d, folder) {
+        if (folder === 'archive') { return d.isArchived && !d.isTrashed; }
+        if (folder === 'trash')   { return d.isTrashed; }
+        if (folder === 'all')     { return !d.isTrashed; }
+        if (folder === 'flagged') { return d.isFlagged && !d.isTrashed; }
+        return !d.isArchived && !d.isTrashed;
+    }
+
+    function fileManager(files) {
+        return {
+            readString:  function (p) { return files[p] === undefined ? undefined : files[p]; },
+            writeString: function (p, text) { files[p] = String(text); return true; },
+            readJSON:    function (p) {
+                try { return files[p] === undefined ? undefined : JSON.parse(files[p]); } catch (e) { return undefined; }
+            },
+            writeJSON:   function (p, value) { files[p] = JSON.stringify(value); return true; },
+            exists:      function (p) { return files[p] !== undefined; },
+        };
+    }
+
+    var host = {
+        HTTP: null,   // unused: engine.transport is replaced by the stub
+        Credential: {
+            create: function (id) {
+                return {
+                    addTextField:     function () {},
+                    addPasswordField: function () {},
+                    authorize: function () { return state.credentials[id] !== null; },
+                    getValue:  function () { return state.credentials[id] || 'test-key-' + id; },
+                    forget:    function () { state.forgotten.push(id); delete state.credentials[id]; },
+                };
+            },
+        },
+        Draft: {
+            create: function () { return addDraft(''); },
+            find:   function (uuid) { return drafts.filter(function (d) { return d.uuid === uuid; })[0]; },
+            query:  function (text, filter, tags) {
+                return drafts.filter(function (d) {
+                    return inFolder(d, filter) &&
+                           (tags || []).every(function (t) { return d.tags.indexOf(t) >= 0; }) &&
+                           (!text || d.content.toLowerCase().indexOf(text.toLowerCase()) >= 0);
+                });
+            },
+        },
+        Workspace: {
+            find: function (name) {
+                var shown = state.workspaces[name];
+                if (!shown) { return undefined; }
+                return { name: name, query: function (filter) { return shown.filter(function (d) { return inFolder(d, filter); }); } };
+            },
+        },
+        FileManager: {
+            createCloud: function () { return fileManager(state.files.cloud); },
+            createLocal: function () { return fileManager(state.files.local); },
+        },
+        Prompt: {
+            create: function () {
+                var prompt = {
+                    fields: [],
+                    buttons: [],
+                    addTextView:  function (name, label, value) { prompt.fields.push({ name: name, value: value }); },
+                    addTextField: function (name, label, value) { prompt.fields.push({ name: name, value: value }); },
+                    addLabel:     function (name, text) { prompt.fields.push({ name: name, value: text }); },
+                    addButton:    function (title) { prompt.buttons.push(title); },
+                    show: function () {
+                        state.prompts.push(prompt);
+                        prompt.buttonPressed = state.promptButton;
+                        return state.promptButton !== null;
+                    },
+                };
+                return prompt;
+            },
+        },
+        draft: current,
+        editor: {
+            getSelectedRange: function () { return state.selection.slice(); },
+            setSelectedRange: function (start, length) { state.selection = [start, length]; },
+            getSelectedText:  function () { return current.content.substr(state.selection[0], state.selection[1]); },
+            getTextInRange:   function (start, length) { return current.content.substr(start, length); },
+            setTextInRange:   function (start, length, text) {
+                current.content = current.content.substring(0, start) + text + current.content.substring(start + length);
+            },
+        },
+        context: {
+            fail:   function (message) { state.failures.push(String(message)); },
+            cancel: function (message) { state.failures.push('cancelled: ' + message); },
+        },
+        app: {
+            displaySuccessMessage: function (m) { state.messages.push(m); },
+            displayInfoMessage:    function (m) { state.messages.push(m); },
+            displayWarningMessage: function (m) { state.messages.push(m); },
+            displayErrorMessage:   function (m) { state.messages.push(m); },
+        },
+        action: { name: options.actionName || 'Test Action' },
+    };
+
+    return { host: host, state: state, addDraft: addDraft };
+}
+
+// ---------------------------------------------------------------------------
+// create(options) → { engine, http, draft, state, addDraft, call }
+//   options.content     — content of the current draft
+//   options.actionName  — action.name seen by the usage ledger
+// ---------------------------------------------------------------------------
+
+function create(options) {
+    options = options || {};
+    // Wrapped in a function so every create() gets its own engine, but run in
+    // this realm so objects the engine returns compare equal in assertions.
+    var source = '(function () {\n' + fs.readFileSync(ENGINE_PATH, 'utf8') + '\nreturn aiEngine;\n})';
+    var engine = vm.runInThisContext(source, { filename: ENGINE_PATH, lineOffset: -1 })();
+    var fake = fakeHost(options);
+    var http = httpStub();
+    var sleeps = [];
+
+    for (var key in fake.host) { engine.host[key] = fake.host[key]; }
+    engine.transport = http.transport;
+    engine.sleep = function (ms) { sleeps.push(ms); };
+
+    var h = {
+        engine:   engine,
+        http:     http,
+        draft:    fake.host.draft,
+        editor:   fake.host.editor,
+        state:    fake.state,
+        sleeps:   sleeps,
+        addDraft: fake.addDraft,
+        // Runs a callAI-style function and returns what its callbacks received:
+        // { ok, text, raw, error, failure }, error being the message and failure
+        // the AIError. The engine is synchronous, so this is too.
+        call: function (fn) {
+            var args = Array.prototype.slice.call(arguments, 1);
+            var result = { ok: false };
+            args.push(function (text, raw) { result.ok = true; result.text = text; result.raw = raw; });
+            args.push(function (error) { result.error = String(error); result.failure = error; });
+            engine[fn].apply(engine, args);
+            return result;
+        },
+    };
+    return h;
+}
+
+module.exports = {
+    create:       create,
+    httpStub:     httpStub,
+    loadFixture:  loadFixture,
+    toResponse:   toResponse,
+    FIXTURES_DIR: FIXTURES_DIR,
+};
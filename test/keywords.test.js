@@ -0,0 +1,150 @@
+// Built-in success keywords, each run against the fake current draft and
+// editor from the harness.
+//
+// Run with: node --test test/*.test.js
+
+var test    = require('node:test');
+var assert  = require('node:assert');
+var harness = require('./harness');
+
+// A harness whose Anthropic endpoint always answers with text.
+function withReply(text, options) {
+    var h = harness.create(options);
+    h.http.reply('api.anthropic.com', { body: { content: [{ type: 'text', text: text }] } });
+    return h;
+}
+
+test('every keyword in the engine has a test below', function () {
+    var h = harness.create();
+    var failures = [];
+    h.engine.callAI('anthropic-sonnet', 'x', 'no-such-keyword', function (e) { failures.push(e); });
+    var listed = failures[0].message.replace(/^.*Use: /, '').replace(/\.$/, '').split(', ');
+    assert.deepStrictEqual(listed.sort(), ['append', 'appendToSection', 'insertAtCursor', 'json', 'new', 'prepend',
+                                           'replace', 'replaceSelection', 'review', 'tokens']);
+    assert.strictEqual(h.http.requests.length, 0);
+});
+
+test('new: creates a draft with the reply', function () {
+    var h = withReply('AI text', { content: 'Original' });
+    h.engine.callAI('anthropic-sonnet', 'x', 'new');
+    assert.strictEqual(h.state.drafts.length, 2);
+    assert.strictEqual(h.state.drafts[1].content, 'AI text');
+    assert.strictEqual(h.draft.content, 'Original');
+});
+
+test('a missing onSuccess behaves like new', function () {
+    var h = withReply('AI text');
+    h.engine.callAI('anthropic-sonnet', 'x');
+    assert.strictEqual(h.state.drafts[1].content, 'AI text');
+});
+
+test('replace: replaces the draft and saves a version first', function () {
+    var h = withReply('AI text', { content: 'Original' });
+    h.engine.callAI('anthropic-sonnet', 'x', 'replace');
+    assert.strictEqual(h.draft.content, 'AI text');
+    assert.deepStrictEqual(h.draft.versions, ['Original']);
+});
+
+test('append and prepend add the reply on its own line', function () {
+    var h = withReply('AI text', { content: 'Original' });
+    h.engine.callAI('anthropic-sonnet', 'x', 'append');
+    assert.strictEqual(h.draft.content, 'Original\nAI text');
+    h.engine.callAI('anthropic-sonnet', 'x', 'prepend');
+    assert.strictEqual(h.draft.content, 'AI text\nOriginal\nAI text');
+    assert.strictEqual(h.draft.versions.length, 2);
+});
+
+test('engine.backup = "draft" keeps a tagged copy instead of a version', function () {
+    var h = withReply('AI text', { content: 'Original' });
+    h.engine.backup = 'draft';
+    h.engine.callAI('anthropic-sonnet', 'x', 'replace');
+    assert.strictEqual(h.draft.versions.length, 0);
+    assert.strictEqual(h.state.drafts[1].content, 'Original');
+    assert.deepStrictEqual(h.state.drafts[1].tags, ['ai-backup']);
+});
+
+test('tokens: sets ai_title and ai_content template tags', function () {
+    var h = withReply('Title line\nBody', { content: 'Original' });
+    h.engine.callAI('anthropic-sonnet', 'x', 'tokens');
+    assert.strictEqual(h.draft.getTemplateTag('ai_title'), 'Title line');
+    assert.strictEqual(h.draft.getTemplateTag('ai_content'), 'Title line\nBody');
+    assert.strictEqual(h.draft.content, 'Original');
+});
+
+test('json: turns on JSON mode and sets ai_json plus one tag per field', function () {
+    var h = withReply('```json\n{"summary": "Short", "tags": ["a", "b"]}\n```');
+    h.engine.callAI('anthropic-sonnet', 'x', 'json');
+    assert.ok(h.http.requests[0].data.system.indexOf('JSON') >= 0);
+    assert.deepStrictEqual(JSON.parse(h.draft.getTemplateTag('ai_json')), { summary: 'Short', tags: ['a', 'b'] });
+    assert.strictEqual(h.draft.getTemplateTag('ai_summary'), 'Short');
+    assert.strictEqual(h.draft.getTemplateTag('ai_tags'), '["a","b"]');
+});
+
+test('replaceSelection: replaces the selected text and selects the reply', function () {
+    var h = withReply('NEW', { content: 'one two three' });
+    h.editor.setSelectedRange(4, 3);
+    h.engine.callAI('anthropic-sonnet', { input: 'selection' }, 'replaceSelection');
+    assert.strictEqual(h.http.requests[0].data.messages[0].content, 'two');
+    assert.strictEqual(h.draft.content, 'one NEW three');
+    assert.deepStrictEqual(h.editor.getSelectedRange(), [4, 3]);
+});
+
+test('input "selection" fails clearly when nothing is selected', function () {
+    var h = withReply('NEW', { content: 'one two three' });
+    var errors = [];
+    h.engine.callAI('anthropic-sonnet', { input: 'selection' }, 'replaceSelection', function (e) { errors.push(e); });
+    assert.match(String(errors[0]), /no text is selected/);
+    assert.strictEqual(h.http.requests.length, 0);
+});
+
+test('insertAtCursor: inserts after the selection and moves the cursor', function () {
+    var h = withReply(' and more', { content: 'one two' });
+    h.editor.setSelectedRange(3, 0);
+    h.engine.callAI('anthropic-sonnet', 'x', 'insertAtCursor');
+    assert.strictEqual(h.draft.content, 'one and more two');
+    assert.deepStrictEqual(h.editor.getSelectedRange(), [12, 0]);
+});
+
+test('appendToSection: adds to the end of an existing section', function () {
+    var h = withReply('- new item', { content: '# Notes\n\n## Next Steps\n- old item\n\n## Later\nstuff' });
+    h.engine.callAI('anthropic-sonnet', 'x', 'appendToSection:Next Steps');
+    assert.strictEqual(h.draft.content, '# Notes\n\n## Next Steps\n- old item\n- new item\n\n## Later\nstuff');
+});
+
+test('appendToSection: creates the section when it is missing', function () {
+    var h = withReply('- item', { content: '# Notes' });
+    h.engine.callAI('anthropic-sonnet', 'x', 'appendToSection:Next Steps');
+    assert.strictEqual(h.draft.content, '# Notes\n\n## Next Steps\n- item\n');
+});
+
+test('review: shows a diff and applies the change when confirmed', function () {
+    var h = withReply('line one\nline 2', { content: 'line one\nline two' });
+    h.engine.callAI('anthropic-sonnet', 'x', 'review');
+    assert.strictEqual(h.state.prompts.length, 1);
+    assert.strictEqual(h.state.prompts[0].fields[0].value, '  line one\n- line two\n+ line 2');
+    assert.strictEqual(h.draft.content, 'line one\nline 2');
+});
+
+test('review: leaves the draft alone when cancelled', function () {
+    var h = withReply('changed', { content: 'original' });
+    h.state.promptButton = null;
+    h.engine.callAI('anthropic-sonnet', 'x', 'review');
+    assert.strictEqual(h.draft.content, 'original');
+    assert.strictEqual(h.draft.versions.length, 0);
+});
+
+test('review: with input "selection" only the selection is replaced', function () {
+    var h = withReply('TWO', { content: 'one two three' });
+    h.editor.setSelectedRange(4, 3);
+    h.engine.callAI('anthropic-sonnet', { input: 'selection' }, 'review');
+    assert.strictEqual(h.state.prompts[0].fields[0].value, '- two\n+ TWO');
+    assert.strictEqual(h.draft.content, 'one TWO three');
+});
+
+test('the default error handler fails the action', function () {
+    var h = harness.create();
+    h.http.reply('api.anthropic.com', 'anthropic-400');
+    h.engine.callAI('anthropic-sonnet', 'x', 'replace');
+    assert.strictEqual(h.state.failures.length, 1);
+    assert.match(h.state.failures[0], /^AI Engine Error: Anthropic API error 400/);
+});
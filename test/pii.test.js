@@ -0,0 +1,106 @@
+// PII sanitization: every built-in pattern, reversible tokens, and which
+// calls are scrubbed.
+//
+// Run with: node --test test/*.test.js
+
+var test    = require('node:test');
+var assert  = require('node:assert');
+var harness = require('./harness');
+
+// One sample per built-in pattern, in engine.piiPatterns order.
+var SAMPLES = [
+    { text: 'Mail jane.doe+work@example.co.uk today',  clean: 'Mail [EMAIL] today',  token: 'Mail [EMAIL_1] today' },
+    { text: 'Call 555-123-4567 or 1 555.123.4568',     clean: 'Call [PHONE] or [PHONE]', token: 'Call [PHONE_1] or [PHONE_2]' },
+    { text: 'SSN 123-45-6789 on file',                 clean: 'SSN [SSN] on file',   token: 'SSN [SSN_1] on file' },
+    { text: 'Card 4111 1111 1111 1111 expires soon',   clean: 'Card [CARD] expires soon', token: 'Card [CARD_1] expires soon' },
+    { text: 'Server at 192.168.10.254 is down',        clean: 'Server at [IP] is down', token: 'Server at [IP_1] is down' },
+];
+
+test('there is a sample for every built-in pattern', function () {
+    var h = harness.create();
+    assert.strictEqual(h.engine.piiPatterns.length, SAMPLES.length);
+});
+
+SAMPLES.forEach(function (sample, index) {
+    test('pattern ' + index + ' (' + sample.clean.match(/\[(\w+)\]/)[1] + ') is scrubbed and restored', function () {
+        var h = harness.create();
+        assert.strictEqual(h.engine.sanitize(sample.text), sample.clean);
+
+        var masked = h.engine.pseudonymize(sample.text);
+        assert.strictEqual(masked.text, sample.token);
+        assert.strictEqual(masked.restore(masked.text), sample.text);
+    });
+});
+
+test('text without PII is left alone', function () {
+    var h = harness.create();
+    var text = 'Version 1.2.3 shipped on 2026-10-01 to 40 users.';
+    assert.strictEqual(h.engine.sanitize(text), text);
+});
+
+test('the same value gets the same token within a call', function () {
+    var h = harness.create();
+    var masked = h.engine.pseudonymize('a@example.com, b@example.com, a@example.com');
+    assert.strictEqual(masked.text, '[EMAIL_1], [EMAIL_2], [EMAIL_1]');
+});
+
+test('custom patterns pushed onto piiPatterns are applied', function () {
+    var h = harness.create();
+    h.engine.piiPatterns.push({ pattern: /\bACCT-\d+\b/g, replacement: '[ACCOUNT]' });
+    assert.strictEqual(h.engine.sanitize('Ref ACCT-99812'), 'Ref [ACCOUNT]');
+    assert.strictEqual(h.engine.pseudonymize('Ref ACCT-99812').text, 'Ref [ACCOUNT_1]');
+});
+
+test('sanitizePII scrubs every prompt section sent to cloud providers', function () {
+    var h = harness.create();
+    h.engine.sanitizePII = true;
+    h.http.reply('api.anthropic.com', 'anthropic-message');
+
+    h.call('callAI', 'anthropic-sonnet', { role: 'Assistant to jane@example.com', input: 'Call 555-123-4567' });
+
+    var body = h.http.requests[0].data;
+    assert.strictEqual(body.messages[0].content, 'Call [PHONE]');
+    assert.ok(body.system.indexOf('[EMAIL]') >= 0);
+    assert.ok(body.system.indexOf('jane@example.com') < 0);
+});
+
+test('sanitizePII leaves local Ollama calls untouched', function () {
+    var h = harness.create();
+    h.engine.sanitizePII = true;
+    h.http.reply('localhost:11434', 'ollama-chat');
+
+    h.call('callAI', 'ollama-llama3', 'Call 555-123-4567');
+
+    assert.strictEqual(h.http.requests[0].data.messages[1].content, 'Call 555-123-4567');
+});
+
+test('piiReversible sends tokens and restores them in the reply', function () {
+    var h = harness.create();
+    h.engine.sanitizePII = true;
+    h.engine.piiReversible = true;
+    h.http.reply('api.anthropic.com', { body: { content: [{ type: 'text', text: 'Wrote to [EMAIL_1].' }] } });
+
+    var result = h.call('callAI', 'anthropic-sonnet', 'Email jane@example.com');
+
+    assert.strictEqual(h.http.requests[0].data.messages[0].content, 'Email [EMAIL_1]');
+    assert.strictEqual(result.text, 'Wrote to jane@example.com.');
+});
+
+test('piiReversible scrubs tool results and restores tool arguments', function () {
+    var h = harness.create();
+    h.engine.sanitizePII = true;
+    h.engine.piiReversible = true;
+    var contact = h.addDraft('Jane: jane@example.com, 555-123-4567');
+    h.http.reply('api.anthropic.com',
+        { body: { content: [{ type: 'tool_use', id: 'toolu_1', name: 'read_draft', input: { uuid: contact.uuid } }] } },
+        { body: { content: [{ type: 'tool_use', id: 'toolu_2', name: 'create_draft', input: { content: 'Call [PHONE_1] or mail [EMAIL_1]' } }] } },
+        { body: { content: [{ type: 'text', text: 'Done.' }] } });
+
+    var result = h.call('callAI', 'anthropic-sonnet', { input: 'Make a call sheet for Jane', tools: ['read_draft', 'create_draft'] });
+
+    assert.strictEqual(result.text, 'Done.');
+    var sent = JSON.stringify(h.http.requests.map(function (r) { return r.data; }));
+    assert.ok(sent.indexOf('jane@example.com') < 0 && sent.indexOf('555-123-4567') < 0, 'tool results are scrubbed');
+    assert.ok(sent.indexOf('[EMAIL_1], [PHONE_1]') >= 0);
+    assert.strictEqual(h.state.drafts[2].content, 'Call 555-123-4567 or mail jane@example.com', 'tool arguments are restored');
+});
@@ -0,0 +1,156 @@
+// run, runAsync and pipeline.
+//
+// Run with: node --test test/*.test.js
+
+var test    = require('node:test');
+var assert  = require('node:assert');
+var harness = require('./harness');
+
+// Replies with "<goal> ← <input>" so tests can see what each step was sent.
+function echoing(options) {
+    var h = harness.create(options);
+    h.engine.transport = function (request) {
+        h.http.requests.push(request);
+        var goal = (request.data.system.match(/# Goal\n+(.*)/) || [])[1] || '';
+        var text = goal + ' ← ' + request.data.messages[0].content;
+        return harness.toResponse({ body: { content: [{ type: 'text', text: text }], usage: { input_tokens: 10, output_tokens: 2 } } });
+    };
+    return h;
+}
+
+test('run returns text, raw payload, model and usage', function () {
+    var h = harness.create();
+    h.http.reply('api.anthropic.com', 'anthropic-message');
+
+    var result = h.engine.run('anthropic-sonnet', 'Hello');
+
+    assert.strictEqual(result.ok, true);
+    assert.strictEqual(result.text, 'Hello from Claude.');
+    assert.strictEqual(result.model, 'anthropic-sonnet');
+    assert.strictEqual(result.usage.inputTokens, 40);
+    assert.strictEqual(result.raw.id, 'msg_01TestMessage');
+    assert.strictEqual(result.error, null);
+    assert.strictEqual(h.state.drafts.length, 1, 'no success keyword means no side effects');
+});
+
+test('run reports failures in the result instead of failing the action', function () {
+    var h = harness.create();
+    h.http.reply('api.anthropic.com', 'anthropic-400');
+
+    var result = h.engine.run('anthropic-sonnet', 'Hello');
+
+    assert.strictEqual(result.ok, false);
+    assert.match(result.error, /Anthropic API error 400/);
+    assert.strictEqual(h.state.failures.length, 0);
+});
+
+test('run applies an optional success keyword', function () {
+    var h = harness.create({ content: 'Original' });
+    h.http.reply('api.anthropic.com', 'anthropic-message');
+
+    var result = h.engine.run('anthropic-sonnet', 'Hello', 'append');
+
+    assert.strictEqual(result.ok, true);
+    assert.strictEqual(h.draft.content, 'Original\nHello from Claude.');
+    assert.match(h.engine.run('anthropic-sonnet', 'Hello', 'bogus').error, /unknown success keyword/);
+});
+
+test('runAsync resolves with the result and rejects with an Error', function () {
+    var h = harness.create();
+    h.http.reply('api.anthropic.com', 'anthropic-message', 'anthropic-400');
+
+    return h.engine.runAsync('anthropic-sonnet', 'Hello').then(function (result) {
+        assert.strictEqual(result.text, 'Hello from Claude.');
+        return h.engine.runAsync('anthropic-sonnet', 'Hello');
+    }).then(function () {
+        assert.fail('should have rejected');
+    }, function (error) {
+        assert.match(error.message, /API error 400/);
+        assert.strictEqual(error.result.ok, false);
+    });
+});
+
+test('run usage covers every request of tool loops and repair re-prompts', function () {
+    var h = harness.create();
+    function reply(content, input, output) {
+        return { body: { content: content, usage: { input_tokens: input, output_tokens: output } } };
+    }
+    h.http.reply('api.anthropic.com',
+        reply([{ type: 'tool_use', id: 'toolu_1', name: 'search_drafts', input: {} }], 100, 10),
+        reply([{ type: 'text', text: 'not json' }], 200, 20),
+        reply([{ type: 'text', text: '{"ok":true}' }], 300, 30),
+        reply([{ type: 'text', text: 'We will circle back.' }], 40, 4),
+        reply([{ type: 'text', text: 'We will reply.' }], 50, 5));
+
+    var structured = h.engine.run('anthropic-haiku', { input: 'x', tools: ['search_drafts'], schema: { type: 'object' } });
+    var policed = h.engine.run('anthropic-haiku', { input: 'x', policies: ['bannedPhrases:circle back'] });
+
+    assert.deepStrictEqual(structured.text, { ok: true });
+    assert.deepStrictEqual([structured.usage.inputTokens, structured.usage.outputTokens, structured.usage.totalTokens],
+                           [600, 60, 660]);
+    assert.strictEqual(structured.usage.cost, (600 * 1 + 60 * 5) / 1000000);
+    assert.deepStrictEqual([policed.usage.inputTokens, policed.usage.outputTokens], [90, 9]);
+});
+
+test('pipeline feeds outputs forward and sets template tags', function () {
+    var h = echoing({ content: 'Notes' });
+
+    var result = h.engine.pipeline([
+        { name: 'summary', model: 'anthropic-haiku', prompt: { goal: 'Summarise' } },
+        { name: 'tasks',   prompt: { goal: 'Tasks' }, input: '{{content}}' },
+        { name: 'title',   prompt: { goal: 'Title for {{tasks}}' } },
+    ], { model: 'anthropic-sonnet' });
+
+    assert.strictEqual(result.ok, true);
+    assert.strictEqual(result.outputs.summary, 'Summarise ← Notes');
+    assert.strictEqual(result.outputs.tasks, 'Tasks ← Notes');
+    assert.strictEqual(result.outputs.title, 'Title for Tasks ← Notes ← Tasks ← Notes');
+    assert.strictEqual(result.text, result.outputs.title);
+    assert.strictEqual(h.draft.getTemplateTag('ai_summary'), 'Summarise ← Notes');
+    assert.strictEqual(h.draft.getTemplateTag('ai_title'), result.outputs.title);
+    assert.deepStrictEqual(h.http.requests.map(function (r) { return r.data.model; }),
+                           ['claude-haiku-4-5-20251001', 'claude-sonnet-4-6', 'claude-sonnet-4-6']);
+    assert.deepStrictEqual(result.usage, { inputTokens: 30, outputTokens: 6, totalTokens: 36, cost: result.usage.cost });
+    assert.strictEqual(h.draft.content, 'Notes', 'the draft is only changed by a success keyword');
+});
+
+test('pipeline input functions receive earlier outputs', function () {
+    var h = echoing({ content: 'Notes' });
+
+    var result = h.engine.pipeline([
+        { name: 'a', model: 'anthropic-haiku', prompt: { goal: 'A' } },
+        { name: 'b', model: 'anthropic-haiku', prompt: { goal: 'B' }, input: function (outputs) { return outputs.a.toUpperCase(); } },
+    ]);
+
+    assert.strictEqual(result.outputs.b, 'B ← A ← NOTES');
+});
+
+test('pipeline runs prompt templates and a final success keyword', function () {
+    var h = echoing({ content: 'Notes' });
+    h.addDraft('---\nname: shout\nmodel: anthropic-haiku\n---\n# Goal\nShout {{previous}}').addTag('ai-prompt');
+
+    var result = h.engine.pipeline([
+        { name: 'first', model: 'anthropic-haiku', prompt: { goal: 'First' } },
+        { name: 'loud',  prompt: 'shout' },
+    ], { success: 'append' });
+
+    assert.strictEqual(result.outputs.loud, 'Shout First ← Notes ← First ← Notes');
+    assert.strictEqual(h.draft.content, 'Notes\n' + result.outputs.loud);
+});
+
+test('pipeline stops at the first failing step', function () {
+    var h = harness.create({ content: 'Notes' });
+    h.http.reply('api.anthropic.com', 'anthropic-message', 'anthropic-400');
+
+    var result = h.engine.pipeline([
+        { name: 'one', model: 'anthropic-sonnet', prompt: { goal: 'One' } },
+        { name: 'two', model: 'anthropic-sonnet', prompt: { goal: 'Two' } },
+        { name: 'three', model: 'anthropic-sonnet', prompt: { goal: 'Three' } },
+    ]);
+
+    assert.strictEqual(result.ok, false);
+    assert.strictEqual(result.failedStep, 'two');
+    assert.match(result.error, /^ai-engine: pipeline step "two" failed — Anthropic API error 400/);
+    assert.strictEqual(result.outputs.one, 'Hello from Claude.');
+    assert.strictEqual(h.http.requests.length, 2);
+});
@@ -0,0 +1,129 @@
+// Output policies: built-in fixers and validators, corrective re-prompts and
+// custom policies.
+//
+// Run with: node --test test/*.test.js
+
+var test    = require('node:test');
+var assert  = require('node:assert');
+var harness = require('./harness');
+
+// A harness whose Anthropic endpoint answers with each text in turn.
+function withReplies() {
+    var h = harness.create();
+    var texts = Array.prototype.slice.call(arguments);
+    h.http.reply.apply(h.http, ['api.anthropic.com'].concat(texts.map(function (text) {
+        return { body: { content: [{ type: 'text', text: text }] } };
+    })));
+    return h;
+}
+
+test('stripMarkdown leaves plain text', function () {
+    var h = harness.create();
+    var result = h.engine.applyPolicies('# Title\n\nSome **bold**, _italic_ and `code` with a [link](https://x.y).\n\n> quoted\n\n```\nfenced\n```',
+                                        ['stripMarkdown']);
+    assert.strictEqual(result.text, 'Title\n\nSome bold, italic and code with a link.\n\nquoted\n\nfenced');
+    assert.deepStrictEqual(result.fixed, ['stripMarkdown']);
+    assert.strictEqual(h.engine.applyPolicies('snake_case_name * 2', ['stripMarkdown']).text, 'snake_case_name * 2');
+});
+
+test('normalizeDashes and normalizeQuotes replace typographic characters', function () {
+    var h = harness.create();
+    var result = h.engine.applyPolicies('“Fast”—and it’s pages 3–5.', { normalizeDashes: true, normalizeQuotes: true });
+    assert.strictEqual(result.text, '"Fast" - and it\'s pages 3-5.');
+});
+
+test('noPreamble drops openers and sign-offs but keeps the answer', function () {
+    var h = harness.create();
+    var text = 'Sure! Here is your summary:\n\nThe meeting moved to Friday.\n\nLet me know if you need anything else.';
+    assert.strictEqual(h.engine.applyPolicies(text, ['noPreamble']).text, 'The meeting moved to Friday.');
+    assert.strictEqual(h.engine.applyPolicies('Sure', ['noPreamble']).text, 'Sure', 'a one-line reply is never emptied');
+});
+
+test('noPreamble keeps first and last lines that only start like filler', function () {
+    var h = harness.create();
+    var keep = [
+        'Great Britain exports fell 3% in May.\nImports rose.',
+        'OK results for Q3 are in.\nRevenue held.',
+        'Sure-footed hikers made the summit.\nThe rest turned back.',
+        'Here is the plan: we ship Friday.\nQA starts Monday.',
+        'Hi Sam,\n\nThe contract is attached.\nLet me know by Friday whether legal approved it.',
+        'The draft is ready.\nFeel free to forward it to the board.',
+    ];
+    keep.forEach(function (text) {
+        assert.strictEqual(h.engine.applyPolicies(text, ['noPreamble']).text, text);
+    });
+    var filler = 'Of course! Here\'s the rewrite:\nShip it.\nI hope this helps! Let me know if you\'d like any changes.';
+    assert.strictEqual(h.engine.applyPolicies(filler, ['noPreamble']).text, 'Ship it.');
+});
+
+test('maxWords trims to the word limit', function () {
+    var h = harness.create();
+    assert.strictEqual(h.engine.applyPolicies('one two  three\nfour', ['maxWords:3']).text, 'one two  three');
+    assert.deepStrictEqual(h.engine.applyPolicies('one two', ['maxWords:3']).fixed, []);
+});
+
+test('validators report every problem', function () {
+    var h = harness.create();
+    var result = h.engine.applyPolicies('## Summary\nWe will circle back.', {
+        maxLength: 10,
+        requiredHeadings: ['Summary', 'Next Steps'],
+        bannedPhrases: 'circle back, synergy',
+    });
+    assert.deepStrictEqual(result.problems, [
+        'maxLength: the response is 31 characters long; the limit is 10',
+        'requiredHeadings: the heading "Next Steps" is missing',
+        'bannedPhrases: the phrase "circle back" is not allowed',
+    ]);
+});
+
+test('fixers run before onSuccess and are recorded in the raw payload', function () {
+    var h = withReplies('Here is the rewrite:\n**Done** — shipped.');
+    var result = h.call('callAI', 'anthropic-haiku', { input: 'x', policies: ['noPreamble', 'stripMarkdown', 'normalizeDashes'] });
+    assert.strictEqual(result.text, 'Done - shipped.');
+    assert.deepStrictEqual(result.raw.aiEngine.policies, { fixed: ['noPreamble', 'stripMarkdown', 'normalizeDashes'], repairs: 0 });
+});
+
+test('a failed validator re-prompts with the problems', function () {
+    var h = withReplies('Let us leverage synergy.', 'Let us work together.');
+    var result = h.call('callAI', 'anthropic-haiku', { input: 'x', policies: ['bannedPhrases:synergy'] });
+
+    assert.strictEqual(result.text, 'Let us work together.');
+    assert.strictEqual(result.raw.aiEngine.policies.repairs, 1);
+    var messages = h.http.requests[1].data.messages;
+    assert.strictEqual(messages[1].content, 'Let us leverage synergy.');
+    assert.match(messages[2].content, /^Your response broke these rules: bannedPhrases: the phrase "synergy" is not allowed/);
+});
+
+test('the call fails once the repair budget is spent', function () {
+    var h = withReplies('synergy');
+    h.engine.policyRepairs = 2;
+    var result = h.call('callAI', 'anthropic-haiku', { input: 'x', policies: ['bannedPhrases:synergy'] });
+    assert.match(result.error, /^Anthropic: response broke output policies — bannedPhrases/);
+    assert.strictEqual(h.http.requests.length, 3);
+});
+
+test('custom policies can be registered or passed inline', function () {
+    var h = withReplies('Great news!');
+    h.engine.registerPolicy('noExclamations', { fix: function (text) { return text.replace(/!/g, '.'); } });
+    var result = h.call('callAI', 'anthropic-haiku', { input: 'x', policies: [
+        'noExclamations',
+        { name: 'shout', fix: function (text) { return text.toUpperCase(); } },
+    ] });
+    assert.strictEqual(result.text, 'GREAT NEWS.');
+    assert.throws(function () { h.engine.registerPolicy('empty', {}); }, /fix and\/or check/);
+});
+
+test('unknown policies fail before any request', function () {
+    var h = harness.create();
+    var result = h.call('callAI', 'anthropic-haiku', { input: 'x', policies: ['noSuchRule'] });
+    assert.match(result.error, /unknown policy "noSuchRule"/);
+    assert.strictEqual(h.http.requests.length, 0);
+});
+
+test('prompt templates can list policies in front-matter', function () {
+    var h = withReplies('Sure.\nDone — really.');
+    h.addDraft('---\nname: tidy\nmodel: anthropic-haiku\npolicies:\n  noPreamble: true\n  normalizeDashes: true\n---\n# Goal\nTidy').addTag('ai-prompt');
+    var result = h.call('callPrompt', 'tidy', {});
+    assert.deepStrictEqual(h.engine.loadPrompt('tidy').policies, { noPreamble: true, normalizeDashes: true });
+    assert.strictEqual(result.text, 'Done - really.');
+});
@@ -0,0 +1,113 @@
+// Prompt templates: front-matter, sections, lookup, variables and extends:.
+//
+// Run with: node --test test/*.test.js
+
+var test    = require('node:test');
+var assert  = require('node:assert');
+var harness = require('./harness');
+
+function withPrompts(prompts, options) {
+    var h = harness.create(options);
+    prompts.forEach(function (text) { h.addDraft(text).addTag('ai-prompt'); });
+    return h;
+}
+
+test('front-matter values and sections become prompt fields', function () {
+    var h = withPrompts([[
+        '---',
+        'name: brief',
+        'model: anthropic-haiku',
+        'success: append',
+        'temperature: 0.2',
+        'stop: [END, "STOP"]',
+        'steps: |',
+        '  Read it.',
+        '',
+        '  Then write.',
+        'output: >',
+        '  One short',
+        '  paragraph.',
+        'variables:',
+        '  tone: dry',
+        '  limit: 3',
+        '---',
+        'Notes before any heading are ignored.',
+        '# Role',
+        'You write in a {{tone}} tone.',
+        '## Goal',
+        'Give {{limit}} points.',
+        '# Unrelated',
+        'Also ignored.',
+        '# Example',
+        '- point',
+    ].join('\n')]);
+
+    var prompt = h.engine.loadPrompt('brief');
+
+    assert.deepStrictEqual(prompt, {
+        name: 'brief', model: 'anthropic-haiku', success: 'append',
+        role: 'You write in a dry tone.', goal: 'Give 3 points.',
+        steps: 'Read it.\n\nThen write.', output: 'One short paragraph.', example: '- point',
+        temperature: 0.2, stop: ['END', 'STOP'],
+    });
+});
+
+test('prompts are found by front-matter name, by title, then in the prompts folder', function () {
+    var h = withPrompts(['---\nname: named\n---\n# Goal\nBy name', 'titled\n# Goal\nBy title']);
+    h.state.files.cloud['/Library/Prompts/filed.md'] = '# Goal\nFrom a file';
+
+    assert.strictEqual(h.engine.loadPrompt('named').goal, 'By name');
+    assert.strictEqual(h.engine.loadPrompt('titled').goal, 'By title');
+    assert.strictEqual(h.engine.loadPrompt('filed').goal, 'From a file');
+    assert.throws(function () { h.engine.loadPrompt('missing'); },
+                  /prompt "missing" not found in drafts tagged "ai-prompt" or in \/Library\/Prompts/);
+});
+
+test('built-in, definition and caller variables fill placeholders; unknown ones stay', function () {
+    var h = withPrompts(['---\nname: vars\nvariables:\n  who: Sam\n  tone: warm\n---\n# Goal\n' +
+                         '{{title}} for {{who}}, {{ tone }}, on {{date}}. {{nope}}'], { content: 'Weekly notes\nbody' });
+
+    var goal = h.engine.loadPrompt('vars', { tone: 'brisk' }).goal;
+
+    assert.match(goal, /^Weekly notes for Sam, brisk, on \d{4}-\d{2}-\d{2}\. \{\{nope\}\}$/);
+});
+
+test('extends: merges base prompts, the child winning, variables included', function () {
+    var h = withPrompts([
+        '---\nname: house\nmodel: anthropic-haiku\nvariables:\n  tone: plain\n  sign: Team\n---\n# Role\nHouse role\n# Output Format\nSigned {{sign}}, {{tone}}.',
+        '---\nname: email\nextends: house\nvariables:\n  tone: warm\n---\n# Goal\nWrite an email.',
+        '---\nname: follow-up\nextends: email\nmodel: openai-4o\n---\n# Goal\nWrite a follow-up.',
+    ]);
+
+    var prompt = h.engine.loadPrompt('follow-up');
+
+    assert.strictEqual(prompt.model, 'openai-4o');
+    assert.strictEqual(prompt.role, 'House role');
+    assert.strictEqual(prompt.goal, 'Write a follow-up.');
+    assert.strictEqual(prompt.output, 'Signed Team, warm.');
+    assert.strictEqual(prompt.extends, undefined);
+});
+
+test('extends: cycles are reported with the chain', function () {
+    var h = withPrompts([
+        '---\nname: a\nextends: b\n---\n# Goal\nA',
+        '---\nname: b\nextends: a\n---\n# Goal\nB',
+        '---\nname: self\nextends: self\n---\n# Goal\nS',
+    ]);
+
+    assert.throws(function () { h.engine.loadPrompt('a'); }, /prompt "a" extends itself \(a → b → a\)/);
+    assert.throws(function () { h.engine.loadPrompt('self'); }, /prompt "self" extends itself \(self → self\)/);
+});
+
+test('callPrompt runs the prompt with its model and success keyword', function () {
+    var h = withPrompts(['---\nname: shout\nmodel: anthropic-haiku\nsuccess: append\n---\n# Goal\nShout'], { content: 'Notes' });
+    h.http.reply('api.anthropic.com', 'anthropic-message');
+
+    h.engine.callPrompt('shout');
+    h.engine.callPrompt('missing');
+
+    assert.strictEqual(h.http.requests[0].data.model, 'claude-haiku-4-5-20251001');
+    assert.strictEqual(h.http.requests[0].data.messages[0].content, 'Notes');
+    assert.strictEqual(h.draft.content, 'Notes\nHello from Claude.');
+    assert.match(h.state.failures[0], /^AI Engine Error: ai-engine: prompt "missing" not found/);
+});
@@ -0,0 +1,256 @@
+// Provider adapters: request shape, response parsing and error payloads for
+// every built-in provider, replayed from test/fixtures.
+//
+// Run with: node --test test/*.test.js
+
+var test    = require('node:test');
+var assert  = require('node:assert');
+var harness = require('./harness');
+
+// One row per built-in provider: a model that uses it, the URL fragment its
+// requests go to, and the fixtures it answers with.
+var PROVIDERS = [
+    { name: 'alter',     model: 'alter-claude-sonnet', url: 'alterhq.com/api/v1/chat/completions',    reply: 'openai-chat',       text: 'Hello from OpenAI.', usage: [42, 7], tool: 'openai-tool-call' },
+    { name: 'openai',    model: 'openai-4o',           url: 'api.openai.com/v1/chat/completions',      reply: 'openai-chat',       text: 'Hello from OpenAI.', usage: [42, 7], tool: 'openai-tool-call' },
+    { name: 'anthropic', model: 'anthropic-sonnet',    url: 'api.anthropic.com/v1/messages',           reply: 'anthropic-message', text: 'Hello from Claude.', usage: [40, 6], tool: 'anthropic-tool-use' },
+    { name: 'ollama',    model: 'ollama-llama3',       url: 'localhost:11434/api/chat',                reply: 'ollama-chat',       text: 'Hello from Ollama.', usage: [30, 5], tool: 'ollama-tool-call' },
+];
+
+// The system prompt travels in a different place for each API.
+function systemPrompt(provider, body) {
+    return provider.name === 'anthropic' ? body.system : body.messages[0].content;
+}
+
+function userMessages(provider, body) {
+    return provider.name === 'anthropic' ? body.messages : body.messages.slice(1);
+}
+
+PROVIDERS.forEach(function (provider) {
+    test(provider.name + ': sends the prompt and parses the reply', function () {
+        var h = harness.create();
+        h.http.reply(provider.url, provider.reply);
+
+        var result = h.call('callAI', provider.model, {
+            role: 'You are terse.', goal: 'Greet.', steps: '- be kind', output: 'One line.', example: 'Hi!', input: 'Hello',
+        });
+
+        assert.strictEqual(result.error, undefined);
+        assert.strictEqual(result.text, provider.text);
+        assert.strictEqual(result.raw.aiEngine.provider, provider.name);
+        assert.strictEqual(result.raw.aiEngine.model, provider.model);
+        assert.strictEqual(result.raw.aiEngine.usage.inputTokens, provider.usage[0]);
+        assert.strictEqual(result.raw.aiEngine.usage.outputTokens, provider.usage[1]);
+
+        var request = h.http.requests[0];
+        assert.strictEqual(request.method, 'POST');
+        assert.strictEqual(request.data.model, h.engine.models[provider.model].model);
+        var system = systemPrompt(provider, request.data);
+        ['# Role', 'You are terse.', '# Goal', 'Greet.', '# Instructions', '- be kind', '# Output Format', 'One line.', '# Example', 'Hi!']
+            .forEach(function (part) { assert.ok(system.indexOf(part) >= 0, 'system prompt lacks ' + part); });
+        assert.deepStrictEqual(userMessages(provider, request.data), [{ role: 'user', content: 'Hello' }]);
+    });
+
+    test(provider.name + ': sends credentials the way the API expects', function () {
+        var h = harness.create();
+        h.http.reply(provider.url, provider.reply);
+        h.call('callAI', provider.model, 'Hello');
+
+        var headers = h.http.requests[0].headers;
+        if (provider.name === 'anthropic') {
+            assert.strictEqual(headers['x-api-key'], 'test-key-Anthropic');
+            assert.ok(headers['anthropic-version']);
+        } else if (provider.name === 'ollama') {
+            assert.strictEqual(headers['Authorization'], undefined);
+        } else {
+            assert.match(headers['Authorization'], /^Bearer test-key-/);
+        }
+    });
+
+    test(provider.name + ': reports error payloads with status and body', function () {
+        var h = harness.create();
+        var payload = provider.name === 'anthropic' ? 'anthropic-400' : provider.name === 'ollama' ? 'ollama-404' : 'openai-401';
+        h.http.reply(provider.url, payload);
+
+        var result = h.call('callAI', provider.model, 'Hello');
+
+        var status = harness.loadFixture(payload).statusCode;
+        assert.strictEqual(result.ok, false);
+        assert.ok(result.error.indexOf('API error ' + status) >= 0, result.error);
+        assert.ok(result.error.indexOf(JSON.stringify(harness.loadFixture(payload).body)) >= 0);
+        assert.strictEqual(h.http.requests.length, 1, 'client errors are not retried');
+    });
+
+    test(provider.name + ': maps generation settings onto its own fields', function () {
+        var h = harness.create();
+        h.http.reply(provider.url, provider.reply);
+        h.call('callAI', provider.model, { input: 'Hello', temperature: 0.2, topP: 0.9, stop: 'END', maxTokens: 100 });
+
+        var body = h.http.requests[0].data;
+        if (provider.name === 'anthropic') {
+            assert.deepStrictEqual([body.temperature, body.top_p, body.stop_sequences, body.max_tokens], [0.2, 0.9, ['END'], 100]);
+        } else if (provider.name === 'ollama') {
+            assert.deepStrictEqual(body.options, { temperature: 0.2, top_p: 0.9, stop: ['END'], num_predict: 100 });
+        } else {
+            assert.deepStrictEqual([body.temperature, body.top_p, body.stop, body.max_tokens], [0.2, 0.9, ['END'], 100]);
+        }
+    });
+
+    test(provider.name + ': runs tool calls and sends the results back', function () {
+        var h = harness.create();
+        h.addDraft('Notes from the meeting').addTag('meeting');
+        h.http.reply(provider.url, provider.tool, provider.reply);
+
+        var result = h.call('callAI', provider.model, { input: 'What did we decide?', tools: ['search_drafts'] });
+
+        assert.strictEqual(result.text, provider.text);
+        assert.strictEqual(result.raw.aiEngine.toolSteps, 1);
+        assert.strictEqual(result.raw.aiEngine.toolCalls[0].name, 'search_drafts');
+        assert.ok(result.raw.aiEngine.toolCalls[0].result.indexOf('Notes from the meeting') >= 0);
+
+        var first = h.http.requests[0].data;
+        var second = h.http.requests[1].data;
+        assert.ok(JSON.stringify(first.tools).indexOf('search_drafts') >= 0);
+        assert.ok(JSON.stringify(second.messages).indexOf('Notes from the meeting') >= 0, 'tool result is sent back');
+    });
+});
+
+test('anthropic: defaults max_tokens to 4096 unless the model sets it', function () {
+    var h = harness.create();
+    h.http.reply('api.anthropic.com', 'anthropic-message');
+    h.call('callAI', 'anthropic-sonnet', 'Hello');
+    assert.strictEqual(h.http.requests[0].data.max_tokens, 4096);
+
+    h.engine.registerModel('anthropic-sonnet', { maxTokens: 8000 });
+    h.call('callAI', 'anthropic-sonnet', 'Hello');
+    assert.strictEqual(h.http.requests[1].data.max_tokens, 8000);
+});
+
+test('JSON mode turns on each API\'s native JSON option', function () {
+    var h = harness.create();
+    h.http.reply('api.openai.com', { body: { choices: [{ message: { content: '{"ok":true}' } }] } });
+    h.http.reply('localhost:11434', { body: { message: { content: '{"ok":true}' } } });
+
+    var openai = h.call('callAI', 'openai-4o', { input: 'x', schema: { type: 'object', required: ['ok'] } });
+    var ollama = h.call('callAI', 'ollama-llama3', { input: 'x', schema: { type: 'object' } });
+
+    assert.deepStrictEqual(openai.text, { ok: true });
+    assert.deepStrictEqual(ollama.text, { ok: true });
+    assert.deepStrictEqual(h.http.requests[0].data.response_format, { type: 'json_object' });
+    assert.strictEqual(h.http.requests[1].data.format, 'json');
+});
+
+test('OpenAI JSON mode is only forced for object schemas', function () {
+    var h = harness.create();
+    h.http.reply('api.openai.com', { body: { choices: [{ message: { content: '["a","b"]' } }] } });
+
+    var list = h.call('callAI', 'openai-4o', { input: 'x', schema: { type: 'array', items: { type: 'string' } } });
+
+    assert.deepStrictEqual(list.text, ['a', 'b']);
+    assert.strictEqual(h.http.requests[0].data.response_format, undefined);
+    assert.strictEqual(h.http.requests.length, 1, 'no repair attempts were needed');
+});
+
+test('image files must hold base64 text', function () {
+    var h = harness.create();
+    h.http.reply('api.anthropic.com', 'anthropic-message');
+    h.state.files.cloud['/photo.b64'] = 'iVBORw0K\nGgo=\n';
+    h.state.files.cloud['/photo.png'] = '\u0089PNG\r\n\u001a\n\u0000\u0000';
+
+    h.call('callAI', 'anthropic-sonnet', { input: 'Describe', images: ['/photo.b64'] });
+    var binary = h.call('callAI', 'anthropic-sonnet', { input: 'Describe', images: ['/photo.png'] });
+
+    assert.deepStrictEqual(h.http.requests[0].data.messages[0].content[0].source,
+                           { type: 'base64', media_type: 'image/png', data: 'iVBORw0KGgo=' });
+    assert.match(binary.error, /image file \/photo\.png does not hold base64 text/);
+    assert.strictEqual(binary.failure.code, 'config');
+    assert.strictEqual(h.http.requests.length, 1);
+});
+
+test('images are formatted per provider', function () {
+    var h = harness.create();
+    h.http.reply('api.anthropic.com', 'anthropic-message');
+    h.http.reply('api.openai.com', 'openai-chat');
+    var image = 'data:image/png;base64,iVBORw0KGgo=';
+
+    h.call('callAI', 'anthropic-sonnet', { input: 'Describe', images: [image] });
+    h.call('callAI', 'openai-4o', { input: 'Describe', images: [image] });
+
+    var anthropicParts = h.http.requests[0].data.messages[0].content;
+    assert.deepStrictEqual(anthropicParts[0], { type: 'image', source: { type: 'base64', media_type: 'image/png', data: 'iVBORw0KGgo=' } });
+    var openaiParts = h.http.requests[1].data.messages[1].content;
+    assert.deepStrictEqual(openaiParts[1], { type: 'image_url', image_url: { url: image } });
+
+    var refused = h.call('callAI', 'ollama-llama3', { input: 'Describe', images: [image] });
+    assert.match(refused.error, /does not accept images/);
+});
+
+test('retries overloads, honouring Retry-After, then succeeds', function () {
+    var h = harness.create();
+    h.http.reply('api.anthropic.com', 'anthropic-529', 'anthropic-message');
+    h.http.reply('api.openai.com', 'openai-429', 'openai-chat');
+
+    var anthropic = h.call('callAI', 'anthropic-sonnet', 'Hello');
+    var openai = h.call('callAI', 'openai-4o', 'Hello');
+
+    assert.strictEqual(anthropic.raw.aiEngine.attempts, 2);
+    assert.strictEqual(openai.raw.aiEngine.attempts, 2);
+    assert.strictEqual(h.sleeps[0], 1000);
+    assert.strictEqual(h.sleeps[1], 2000, 'Retry-After: 2 waits two seconds');
+});
+
+test('network failures fall back to the next model', function () {
+    var h = harness.create();
+    h.http.reply('api.anthropic.com', 'network-error');
+    h.http.reply('localhost:11434', 'ollama-chat');
+
+    var result = h.call('callAI', ['anthropic-sonnet', 'ollama-llama3'], 'Hello');
+
+    assert.strictEqual(result.text, 'Hello from Ollama.');
+    assert.strictEqual(result.raw.aiEngine.model, 'ollama-llama3');
+    assert.strictEqual(result.raw.aiEngine.failures.length, 1);
+    assert.strictEqual(h.http.requests.length, 4, 'three attempts on Anthropic, one on Ollama');
+});
+
+test('a missing API key stops before any request', function () {
+    var h = harness.create();
+    h.state.credentials['Anthropic'] = null;
+    var result = h.call('callAI', 'anthropic-sonnet', 'Hello');
+    assert.match(result.error, /failed to retrieve API key/);
+    assert.strictEqual(h.http.requests.length, 0);
+});
+
+test('discoverModels registers OpenAI chat models and Ollama tags', function () {
+    var h = harness.create();
+    h.http.reply('api.openai.com/v1/models', 'openai-models');
+    h.http.reply('localhost:11434/api/tags', 'ollama-tags');
+
+    assert.deepStrictEqual(h.engine.discoverModels('openai'), ['openai-4o', 'openai-gpt-4.1', 'openai-o3-mini']);
+    assert.deepStrictEqual(h.engine.discoverModels('ollama'), ['ollama-llama3', 'ollama-qwen2.5-7b']);
+    assert.strictEqual(h.engine.models['ollama-qwen2.5-7b'].model, 'qwen2.5:7b');
+    assert.strictEqual(h.http.requests[0].method, 'GET');
+    h.engine.registerProvider('bare', { buildRequest: function () {}, parseResponse: function () {} });
+    assert.throws(function () { h.engine.discoverModels('bare'); }, /does not support model discovery/);
+});
+
+test('discoverModels lists Anthropic models, keeping the built-in shorthands', function () {
+    var h = harness.create();
+    h.http.reply('api.anthropic.com/v1/models', 'anthropic-models');
+
+    assert.deepStrictEqual(h.engine.discoverModels('anthropic'),
+                           ['anthropic-opus', 'anthropic-sonnet', 'anthropic-haiku', 'anthropic-claude-3-5-haiku-20241022']);
+    assert.strictEqual(h.http.requests[0].url, 'https://api.anthropic.com/v1/models?limit=1000');
+});
+
+test('registered providers are used for matching configs', function () {
+    var h = harness.create();
+    h.engine.registerProvider('gateway', h.engine.openAICompatible({
+        displayName: 'Gateway', endpoint: 'https://gateway.example.com/v1', model: 'default', credential: null,
+    }));
+    h.http.reply('gateway.example.com/v1/chat/completions', 'openai-chat');
+
+    var result = h.call('callAI', { provider: 'gateway' }, 'Hello');
+
+    assert.strictEqual(result.text, 'Hello from OpenAI.');
+    assert.strictEqual(result.raw.aiEngine.model, 'gateway:default');
+    assert.strictEqual(h.http.requests[0].headers['Authorization'], undefined);
+});
@@ -0,0 +1,83 @@
+// Records a real provider response as a fixture for the test suite.
+//
+//   ANTHROPIC_API_KEY=... node test/record.js anthropic-sonnet anthropic-message "Say hello."
+//   node test/record.js '{"provider":"ollama","model":"llama3.1"}' ollama-chat
+//
+// The prompt is sent through the engine exactly as an action would send it;
+// the response (status, headers and body) is saved to test/fixtures/<name>.json.
+// Keys come from <CREDENTIAL>_API_KEY environment variables, where CREDENTIAL
+// is the adapter's credential name (ALTERHQ, OPENAI, ANTHROPIC); Ollama needs
+// none. Requests are made with curl so the engine can stay synchronous.
+
+var fs      = require('fs');
+var os      = require('os');
+var path    = require('path');
+var child   = require('child_process');
+var harness = require('./harness');
+
+// Synchronous HTTP via curl → the object Drafts' HTTP.request returns.
+function curlTransport(request) {
+    var headerFile = path.join(os.tmpdir(), 'ai-engine-record-' + process.pid + '.txt');
+    var args = ['-s', '-X', request.method, '-D', headerFile, '-w', '\n%{http_code}', '--max-time', '120'];
+    for (var name in request.headers || {}) { args.push('-H', name + ': ' + request.headers[name]); }
+    if (request.data !== undefined) { args.push('--data-binary', '@-'); }
+    args.push(request.url);
+
+    var output = child.execFileSync('curl', args, {
+        input: request.data !== undefined ? JSON.stringify(request.data) : '',
+        encoding: 'utf8',
+        maxBuffer: 16 * 1024 * 1024,
+    });
+    var split = output.lastIndexOf('\n');
+    var status = parseInt(output.substring(split + 1), 10) || 0;
+
+    var headers = {};
+    if (fs.existsSync(headerFile)) {
+        fs.readFileSync(headerFile, 'utf8').split(/\r?\n/).forEach(function (line) {
+            var colon = line.indexOf(':');
+            if (colon > 0) { headers[line.substring(0, colon).trim()] = line.substring(colon + 1).trim(); }
+        });
+        fs.unlinkSync(headerFile);
+    }
+    return { statusCode: status, headers: headers, responseText: output.substring(0, split) };
+}
+
+function main(argv) {
+    if (argv.length < 2) {
+        console.log('usage: node test/record.js <model> <fixture-name> [prompt]');
+        return 0;
+    }
+    var model = argv[0].charAt(0) === '{' ? JSON.parse(argv[0]) : argv[0];
+    var fixture = argv[1], prompt = argv[2] || 'Say hello in one short sentence.';
+
+    var h = harness.create();
+    var recorded = null;
+    h.engine.transport = function (request) {
+        var response = curlTransport(request);
+        var body;
+        try { body = JSON.parse(response.responseText); } catch (e) { body = response.responseText; }
+        recorded = { statusCode: response.statusCode, headers: { 'Content-Type': response.headers['Content-Type'] || response.headers['content-type'] }, body: body };
+        return harness.toResponse(recorded);
+    };
+    h.engine.host.Credential = {
+        create: function (id) {
+            return {
+                addTextField: function () {},
+                authorize: function () { return !!process.env[id.toUpperCase() + '_API_KEY']; },
+                getValue:  function () { return process.env[id.toUpperCase() + '_API_KEY']; },
+            };
+        },
+    };
+
+    var result = h.call('callAI', model, { input: prompt, retry: false });
+    if (!recorded) {
+        console.error('nothing recorded: ' + result.error);
+        return 1;
+    }
+    var file = path.join(harness.FIXTURES_DIR, fixture + '.json');
+    fs.writeFileSync(file, JSON.stringify(recorded, null, 2) + '\n');
+    console.log((result.ok ? 'recorded ' : 'recorded error response ') + recorded.statusCode + ' → ' + file);
+    return 0;
+}
+
+process.exitCode = main(process.argv.slice(2));
@@ -0,0 +1,93 @@
+// Usage and cost: the ledger stores and usageReport grouping and totals.
+//
+// Run with: node --test test/*.test.js
+
+var test    = require('node:test');
+var assert  = require('node:assert');
+var harness = require('./harness');
+
+var LEDGER_FILE = '/Library/ai-engine-usage.json';
+
+function ledgered(options) {
+    var h = harness.create(options);
+    h.engine.ledger.enabled = true;
+    h.http.reply('api.anthropic.com', 'anthropic-message');
+    h.http.reply('api.openai.com', 'openai-chat');
+    return h;
+}
+
+function entry(timestamp, model, provider, action, input, output, cost) {
+    return { timestamp: timestamp, model: model, provider: provider, action: action,
+             inputTokens: input, outputTokens: output, cost: cost, cached: false };
+}
+
+test('nothing is recorded unless the ledger is enabled', function () {
+    var h = harness.create();
+    h.http.reply('api.anthropic.com', 'anthropic-message');
+    h.engine.run('anthropic-haiku', 'Hello');
+    assert.strictEqual(h.state.files.cloud[LEDGER_FILE], undefined);
+});
+
+test('every request is appended with its tokens and estimated cost', function () {
+    var h = ledgered({ actionName: 'Summarise' });
+
+    var result = h.engine.run('anthropic-haiku', 'Hello');
+    h.engine.run('openai-4o', { input: 'Hello', actionName: 'Rewrite' });
+
+    assert.deepStrictEqual(result.usage, { inputTokens: 40, outputTokens: 6, totalTokens: 46, cost: (40 * 1 + 6 * 5) / 1000000 });
+    var entries = JSON.parse(h.state.files.cloud[LEDGER_FILE]);
+    assert.strictEqual(entries.length, 2);
+    assert.match(entries[0].timestamp, /^\d{4}-\d{2}-\d{2}T/);
+    assert.deepStrictEqual(entries.map(function (e) { return [e.model, e.provider, e.action, e.inputTokens, e.outputTokens, e.cached]; }), [
+        ['anthropic-haiku', 'anthropic', 'Summarise', 40, 6, false],
+        ['openai-4o', 'openai', 'Rewrite', 42, 7, false],
+    ]);
+    assert.strictEqual(entries[1].cost, (42 * 2.5 + 7 * 10) / 1000000);
+});
+
+test('the draft store keeps one JSON line per request and skips other lines', function () {
+    var h = ledgered();
+    h.engine.ledger.store = h.engine.ledger.draftStore();
+
+    h.engine.run('anthropic-haiku', 'Hello');
+    h.engine.run('anthropic-haiku', 'Hello');
+    var ledger = h.state.drafts.filter(function (d) { return d.hasTag('ai-engine-ledger'); })[0];
+    ledger.content += '\nA note I typed by hand\n{not json';
+
+    assert.strictEqual(ledger.content.split('\n')[0], '# AI Engine Usage Ledger');
+    assert.strictEqual(h.engine.ledger.store.read().length, 2);
+    assert.strictEqual(h.engine.usageReport().total.calls, 2);
+});
+
+test('usageReport groups, totals and sorts by cost', function () {
+    var h = harness.create();
+    h.state.files.cloud[LEDGER_FILE] = JSON.stringify([
+        entry('2026-03-01T09:00:00.000Z', 'anthropic-haiku', 'anthropic', 'Summarise', 100, 10, 0.001),
+        entry('2026-03-02T09:00:00.000Z', 'openai-4o', 'openai', 'Summarise', 200, 20, 0.004),
+        entry('2026-03-02T10:00:00.000Z', 'anthropic-haiku', 'anthropic', '', 300, 30, 0.002),
+        entry('2026-03-03T09:00:00.000Z', 'ollama-llama3', 'ollama', 'Local', 50, 5, null),
+    ]);
+
+    var byModel = h.engine.usageReport();
+    assert.strictEqual(byModel.groupBy, 'model');
+    assert.deepStrictEqual(byModel.total, { calls: 4, inputTokens: 650, outputTokens: 65, cost: 0.007 });
+    assert.deepStrictEqual(byModel.groups.map(function (g) { return [g.key, g.calls, g.inputTokens]; }),
+                           [['openai-4o', 1, 200], ['anthropic-haiku', 2, 400], ['ollama-llama3', 1, 50]]);
+    assert.deepStrictEqual(byModel.text.split('\n'), [
+        '| model | calls | input tokens | output tokens | est. cost (USD) |',
+        '|---|---|---|---|---|',
+        '| openai-4o | 1 | 200 | 20 | 0.0040 |',
+        '| anthropic-haiku | 2 | 400 | 40 | 0.0030 |',
+        '| ollama-llama3 | 1 | 50 | 5 | 0.0000 |',
+        '| **total** | 4 | 650 | 65 | 0.0070 |',
+    ]);
+
+    var keys = function (report) { return report.groups.map(function (g) { return g.key; }); };
+    assert.deepStrictEqual(keys(h.engine.usageReport({ groupBy: 'action' })), ['Summarise', '(none)', 'Local']);
+    assert.deepStrictEqual(keys(h.engine.usageReport({ groupBy: 'provider' })), ['openai', 'anthropic', 'ollama']);
+    assert.deepStrictEqual(keys(h.engine.usageReport({ groupBy: 'day' })), ['2026-03-02', '2026-03-01', '2026-03-03']);
+
+    var recent = h.engine.usageReport({ since: '2026-03-02' });
+    assert.strictEqual(recent.since, '2026-03-02');
+    assert.strictEqual(recent.total.calls, 3);
+});